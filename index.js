@@ -11,7 +11,23 @@ const ChessEngine = require('./src/engine1');
 const ChessEngine2 = require('./src/engine2');
 const UCIInterface = require('./src/uci');
 const readline = require('readline');
-const { Board } = require('./src/board');
+const fs = require('fs');
+const { Board, validateFen } = require('./src/board');
+const { PgnGame, parsePgn, writePgn, formatPgnDate } = require('./src/pgn');
+const { perft, divide, nodesPerSecond, runPerftSuite, runBackendBenchmark } = require('./src/perft');
+const { chess960Fen, randomChess960Index } = require('./src/chess960');
+const { runEndgameSuite } = require('./src/endgames');
+const { runThreadBenchmark } = require('./src/threads');
+const { runSearchBenchmark } = require('./src/searchbench');
+
+// Human-readable descriptions of game-ending and claimable-draw reasons
+const GAME_STATUS_TEXT = {
+  'fivefold-repetition': 'fivefold repetition',
+  'seventy-five-move-rule': 'the seventy-five-move rule',
+  'threefold-repetition': 'threefold repetition',
+  'fifty-move-rule': 'the fifty-move rule',
+  'insufficient-material': 'insufficient material'
+};
 
 // Parse command-line arguments
 const args = process.argv.slice(2);
@@ -39,9 +55,20 @@ else if (mode === 'battle') {
     maxDepth: options.depth ? parseInt(options.depth) : 40
   });
   
-  const engine2 = new (require('./src/engine2'))({
+  // Search techniques can be switched off for engine 2 to measure them, e.g. razoring=false
+  const features = {};
+  for (const feature of Object.keys(ChessEngine2.SEARCH_FEATURES)) {
+    if (options[feature] !== undefined) {
+      features[feature] = options[feature] !== 'false';
+    }
+  }
+  
+  const engine2 = new ChessEngine2({
     timeLimit: options.timeLimit ? parseInt(options.timeLimit) : 3000,
-    maxDepth: options.depth ? parseInt(options.depth) : 40
+    maxDepth: options.depth ? parseInt(options.depth) : 40,
+    backend: options.backend,
+    features,
+    contempt: options.contempt ? parseInt(options.contempt) : 0
   });
   
   // Set up game
@@ -52,14 +79,40 @@ else if (mode === 'battle') {
   const displayBoard = new Board();
   displayBoard.setupInitialPosition();
   
+  // Chess960: chess960=<n> plays start position n, chess960=random picks one
+  let chess960Index = null;
+  if (options.chess960 !== undefined) {
+    chess960Index = options.chess960 === 'random' ? randomChess960Index() : parseInt(options.chess960);
+    displayBoard.loadFromFen(chess960Fen(chess960Index));
+    
+    // All boards must agree on castling notation (king takes rook)
+    for (const board of [displayBoard, engine1.board, engine2.board]) {
+      board.chess960 = true;
+    }
+  }
+  
+  // The engines replay the game from here, so they know its history (repetitions)
+  const startFen = displayBoard.toFen();
+  
   // Game parameters
   const maxMoves = options.maxMoves ? parseInt(options.maxMoves) : 100;
   const delay = options.delay ? parseInt(options.delay) : 2000; // Pause between moves
+  const pgnFile = options.pgn || 'battle.pgn'; // Finished games are appended here
   
   console.log('ChessByte Engine Battle');
   console.log(`Engine 1: ChessByte 1.0 (depth: 100, time: ${engine1.timeLimit}ms)`);
   console.log(`Engine 2: ${options.engine2Name || 'Custom Engine'} (depth: 100, time: ${engine2.timeLimit}ms)`);
   console.log(`Max moves: ${maxMoves}, Delay between moves: ${delay}ms`);
+  if (chess960Index !== null) {
+    console.log(`Chess960 start position: ${chess960Index}`);
+  }
+  const disabled = Object.keys(features).filter(feature => !features[feature]);
+  if (disabled.length > 0) {
+    console.log(`Engine 2 search features off: ${disabled.join(', ')}`);
+  }
+  if (engine2.contempt !== 0) {
+    console.log(`Engine 2 contempt: ${engine2.contempt}`);
+  }
   console.log();
   
   // Print initial board
@@ -69,6 +122,26 @@ else if (mode === 'battle') {
   let moveCount = 0;
   let gameActive = true;
   
+  // Append the finished game to the PGN file
+  function saveGame(result) {
+    const game = PgnGame.fromBoard(displayBoard, {
+      Event: 'ChessByte Engine Battle',
+      Site: '?',
+      Date: formatPgnDate(new Date()),
+      Round: '1',
+      White: 'ChessByte 1.0',
+      Black: options.engine2Name || 'Custom Engine',
+      Result: result
+    });
+    
+    try {
+      fs.appendFileSync(pgnFile, writePgn(game) + '\n');
+      console.log(`Game saved to ${pgnFile}`);
+    } catch (e) {
+      console.error(`Error saving game to ${pgnFile}: ${e.message}`);
+    }
+  }
+  
   // Main game loop, using setTimeout for visualization
   function makeNextMove() {
     if (!gameActive || moveCount >= maxMoves) {
@@ -77,13 +150,13 @@ else if (mode === 'battle') {
       printBoard(displayBoard);
       
       // Check for game result
-      if (displayBoard.isInCheck(displayBoard.turn)) {
-        const winner = displayBoard.turn === 0x08 ? 'Engine 2' : 'Engine 1';
-        console.log(`Checkmate! ${winner} wins!`);
-      } else if (displayBoard.getLegalMoves().length === 0) {
-        console.log('Stalemate! Game is a draw.');
+      const status = displayBoard.getGameStatus();
+      if (status.over) {
+        console.log(describeGameStatus(status));
+        saveGame(status.result);
       } else {
         console.log('Game terminated due to move limit. Position is ongoing.');
+        saveGame('*');
       }
       
       return;
@@ -95,8 +168,12 @@ else if (mode === 'battle') {
     
     console.log(`Move ${Math.ceil(moveCount/2)}${displayBoard.turn === 0x08 ? ' (White)' : ' (Black)'} - ${engineName} thinking...`);
     
-    // Synchronize the current position to the engine
-    currentEngine.loadPosition(displayBoard.toFen());
+    // Synchronize the game to the engine, replaying the moves so it can
+    // detect repetitions of earlier positions
+    currentEngine.loadPosition(startFen);
+    for (const move of displayBoard.history) {
+      currentEngine.board.makeUciMove(displayBoard.moveToUci(move));
+    }
     
     // Get the engine's move
     const startTime = Date.now();
@@ -117,7 +194,11 @@ else if (mode === 'battle') {
                           evaluation < 0 ? `${(evaluation / 100).toFixed(2)}` : 
                           '0.00';
     
-    console.log(`${engineName} played: ${bestMove}`);
+    // Look the move up among the legal moves so it can be shown in SAN
+    const playedMove = displayBoard.getLegalMoves().find(m => displayBoard.moveToUci(m) === bestMove);
+    const san = playedMove ? displayBoard.moveToSan(playedMove) : bestMove;
+    
+    console.log(`${engineName} played: ${san} (${bestMove})`);
     console.log(`Depth: ${currentEngine.maxDepth}, Time: ${endTime - startTime}ms, Positions evaluated: ${stats.evaluations}`);
     console.log(`Evaluation: ${evalFormatted} (${engineName === 'Engine 1' ? 'White' : 'Black'}'s perspective)`);
     
@@ -126,20 +207,21 @@ else if (mode === 'battle') {
     if (!success) {
       console.log(`Error: ${engineName} suggested invalid move: ${bestMove}`);
       gameActive = false;
+      saveGame('*');
       return;
     }
     
     printBoard(displayBoard);
     
-    // Check for game end conditions
-    const legalMoves = displayBoard.getLegalMoves();
-    if (legalMoves.length === 0) {
-      if (displayBoard.isInCheck(displayBoard.turn)) {
-        const winner = displayBoard.turn === 0x08 ? 'Engine 2' : 'Engine 1';
-        console.log(`Checkmate! ${winner} wins!`);
+    // Check for game end conditions; claimable draws are claimed right away
+    const status = displayBoard.getGameStatus();
+    if (status.over || status.claimable) {
+      if (status.over) {
+        console.log(describeGameStatus(status));
       } else {
-        console.log('Stalemate! Game is a draw.');
+        console.log(`Draw claimed by ${GAME_STATUS_TEXT[status.claimable]}.`);
       }
+      saveGame(status.over ? status.result : '1/2-1/2');
       gameActive = false;
       return;
     }
@@ -151,24 +233,79 @@ else if (mode === 'battle') {
   // Start the game
   setTimeout(makeNextMove, 1000);
 }
+// Perft mode - verify the move generator against known node counts
+else if (mode === 'perft') {
+  const maxDepth = options.depth ? parseInt(options.depth) : 3;
+  const backend = options.backend || 'mailbox';
+  const verifyHash = options.verifyHash === 'true';
+  
+  console.log(`ChessByte perft suite (max depth: ${maxDepth}, backend: ${backend}${verifyHash ? ', verifying hashes' : ''})`);
+  console.log();
+  
+  const result = runPerftSuite({ maxDepth, backend, verifyHash });
+  process.exit(result.failures > 0 ? 1 : 0);
+}
+// Benchmark mode - compare perft speed of the board backends, or with
+// threads=N the search speed of N threads against one
+else if (mode === 'bench' && options.threads) {
+  const threads = parseInt(options.threads);
+  const depth = options.depth ? parseInt(options.depth) : 6;
+  
+  console.log(`ChessByte search thread benchmark (threads: ${threads}, depth: ${depth})`);
+  console.log();
+  
+  runThreadBenchmark({ threads, depth }).then(() => process.exit(0));
+}
+else if (mode === 'bench') {
+  console.log('ChessByte board backend benchmark');
+  console.log();
+  
+  runBackendBenchmark({ depth: options.depth ? parseInt(options.depth) : undefined });
+}
+// Search benchmark mode - compare the node counts of search variants at a fixed depth
+else if (mode === 'searchbench') {
+  const depth = options.depth ? parseInt(options.depth) : 6;
+  
+  console.log(`ChessByte search benchmark (depth: ${depth})`);
+  console.log();
+  
+  runSearchBenchmark({ depth });
+}
+// Endgame mode - check that the engine activates its king in simple endgames
+else if (mode === 'endgames') {
+  const depth = options.depth ? parseInt(options.depth) : 4;
+  
+  console.log(`ChessByte endgame regression set (depth: ${depth})`);
+  console.log();
+  
+  const result = runEndgameSuite({ depth });
+  process.exit(result.failures > 0 ? 1 : 0);
+}
 // Interactive mode - simple command-line interface
 else if (mode === 'interactive') {
   console.log('ChessByte 1.0 by Cline - Interactive mode');
   console.log('Commands:');
-  console.log('  new - Start a new game');
+  console.log('  new [960 [n]] - Start a new game (Chess960: position n, random if omitted)');
   console.log('  fen [FEN] - Load position from FEN');
-  console.log('  move [uci] - Make a move (e.g., "move e2e4")');
+  console.log('  move [san|uci] - Make a move (e.g., "move Nf3" or "move g1f3")');
   console.log('  go - Let the engine make a move');
   console.log('  undo - Undo the last move');
+  console.log('  save [file] - Save the game as PGN');
+  console.log('  load [file] [n] - Load game n (default: 1) from a PGN file');
   console.log('  board - Display the current board');
   console.log('  eval - Show position evaluation');
+  console.log('  perft [n] - Count leaf nodes of the move tree to depth n');
+  console.log('  divide [n] - Perft split by root move');
   console.log('  depth [n] - Set search depth (default: 40)');
   console.log('  time [ms] - Set time limit in milliseconds (default: 3000)');
+  console.log('  multipv [n] - Show the n best moves on "go" instead of playing (engine 2 only, default: 1)');
   console.log('  help - Show commands');
   console.log('  quit - Exit the program');
   console.log('\nStarting a new game.');
   
-  const engine = new ChessEngine();
+  // Engine 1 plays by default; engine=2 selects engine 2, which also offers
+  // MultiPV analysis and the bitboard backend
+  const engine = options.engine === '2' ? new ChessEngine2({ backend: options.backend }) : new ChessEngine();
   engine.resetBoard();
   
   const rl = readline.createInterface({
@@ -190,14 +327,30 @@ else if (mode === 'interactive') {
     try {
       switch (cmd) {
         case 'new':
-          engine.reset();
-          console.log('Started a new game.');
+          if (parts[1] === '960') {
+            const index = parts.length > 2 ? parseInt(parts[2]) : randomChess960Index();
+            const fen = chess960Fen(index);
+            startNewGame(engine);
+            engine.board.chess960 = true;
+            engine.loadPosition(fen);
+            console.log(`Started a new Chess960 game (position ${index}).`);
+          } else {
+            startNewGame(engine);
+            engine.board.chess960 = false;
+            console.log('Started a new game.');
+          }
           printBoard(engine.board);
           break;
           
         case 'fen':
           if (parts.length > 1) {
             const fen = parts.slice(1).join(' ');
+            const { valid, errors } = validateFen(fen);
+            if (!valid) {
+              console.log('Invalid FEN, position not changed:');
+              errors.forEach(error => console.log(`  - ${error}`));
+              break;
+            }
             engine.loadPosition(fen);
             console.log(`Loaded position: ${fen}`);
             printBoard(engine.board);
@@ -208,16 +361,18 @@ else if (mode === 'interactive') {
           
         case 'move':
           if (parts.length > 1) {
-            const move = parts[1];
-            const success = engine.board.makeUciMove(move);
-            if (success) {
-              console.log(`Move played: ${move}`);
+            const move = engine.board.sanToMove(parts[1]);
+            if (move) {
+              const san = engine.board.moveToSan(move);
+              engine.board.makeMove(move);
+              console.log(`Move played: ${san}`);
               printBoard(engine.board);
+              printGameStatus(engine.board);
             } else {
-              console.log(`Invalid move: ${move}`);
+              console.log(`Invalid move: ${parts[1]}`);
             }
           } else {
-            console.log('Please specify a move in UCI format (e.g., "move e2e4").');
+            console.log('Please specify a move in SAN or UCI format (e.g., "move Nf3" or "move g1f3").');
           }
           break;
           
@@ -228,12 +383,22 @@ else if (mode === 'interactive') {
           const endTime = Date.now();
           const stats = engine.getStats();
           
-          console.log(`Engine played: ${bestMove}`);
+          // MultiPV analysis: show the candidate moves instead of playing one
+          if (engine.multiPv > 1) {
+            printCandidateMoves(engine.board, engine.pvLines);
+            console.log(`Time: ${endTime - startTime}ms, Positions evaluated: ${stats.evaluations}`);
+            break;
+          }
+          
+          const engineMove = bestMove ? engine.board.sanToMove(bestMove) : null;
+          
+          console.log(`Engine played: ${engineMove ? engine.board.moveToSan(engineMove) : bestMove}`);
           console.log(`Depth: ${engine.maxDepth}, Time: ${endTime - startTime}ms, Positions evaluated: ${stats.evaluations}`);
           
-          if (bestMove) {
-            engine.board.makeUciMove(bestMove);
+          if (engineMove) {
+            engine.board.makeMove(engineMove);
             printBoard(engine.board);
+            printGameStatus(engine.board);
           }
           break;
           
@@ -247,6 +412,46 @@ else if (mode === 'interactive') {
           }
           break;
           
+        case 'save':
+          if (parts.length > 1) {
+            const game = PgnGame.fromBoard(engine.board, {
+              Event: 'ChessByte interactive game',
+              Date: formatPgnDate(new Date())
+            });
+            fs.writeFileSync(parts[1], writePgn(game));
+            console.log(`Game saved to ${parts[1]}.`);
+          } else {
+            console.log('Please specify a file name (e.g., "save game.pgn").');
+          }
+          break;
+          
+        case 'load':
+          if (parts.length > 1) {
+            const games = parsePgn(fs.readFileSync(parts[1], 'utf8'));
+            const index = parts.length > 2 ? parseInt(parts[2]) - 1 : 0;
+            const game = games[index];
+            
+            if (game) {
+              // Replay the main line on the engine's board so moves can be
+              // undone, with the game's castling rules
+              engine.board.chess960 = game.chess960;
+              engine.loadPosition(game.startFen);
+              for (const node of game.mainline()) {
+                if (!engine.board.makeSanMove(node.san)) {
+                  console.log(`Illegal move ${node.san} in the game, stopped before it.`);
+                  break;
+                }
+              }
+              console.log(`Loaded game ${index + 1} of ${games.length}: ${game.headers.White} - ${game.headers.Black} ${game.headers.Result}`);
+              printBoard(engine.board);
+            } else {
+              console.log(`No game ${index + 1} in ${parts[1]} (found ${games.length}).`);
+            }
+          } else {
+            console.log('Please specify a file name (e.g., "load game.pgn").');
+          }
+          break;
+          
         case 'board':
           printBoard(engine.board);
           break;
@@ -257,6 +462,29 @@ else if (mode === 'interactive') {
           console.log(`Evaluation from ${side}'s perspective: ${eval}`);
           break;
           
+        case 'perft':
+        case 'divide': {
+          const perftDepth = parseInt(parts[1]);
+          if (isNaN(perftDepth) || perftDepth < 1) {
+            console.log(`Please provide a valid depth (e.g., "${cmd} 4").`);
+            break;
+          }
+          
+          const perftStart = Date.now();
+          let nodes;
+          if (cmd === 'divide') {
+            const result = divide(engine.board, perftDepth);
+            result.moves.forEach(({ move, nodes }) => console.log(`${move}: ${nodes}`));
+            nodes = result.nodes;
+          } else {
+            nodes = perft(engine.board, perftDepth);
+          }
+          const perftTime = Date.now() - perftStart;
+          
+          console.log(`Nodes: ${nodes}, Time: ${perftTime}ms, NPS: ${nodesPerSecond(nodes, perftTime)}`);
+          break;
+        }
+          
         case 'depth':
           if (parts.length > 1) {
             const depth = parseInt(parts[1]);
@@ -285,17 +513,38 @@ else if (mode === 'interactive') {
           }
           break;
           
+        case 'multipv':
+          if (!(engine instanceof ChessEngine2)) {
+            console.log('MultiPV analysis needs engine 2 (start with "node index.js interactive engine=2").');
+          } else if (parts.length > 1) {
+            const lines = parseInt(parts[1]);
+            if (!isNaN(lines) && lines > 0) {
+              engine.multiPv = lines;
+              console.log(lines > 1 ? `"go" now shows the ${lines} best moves without playing.` : '"go" now plays the best move.');
+            } else {
+              console.log('Please provide a valid number of lines (positive integer).');
+            }
+          } else {
+            console.log(`Current number of lines: ${engine.multiPv}`);
+          }
+          break;
+          
         case 'help':
           console.log('Commands:');
-          console.log('  new - Start a new game');
+          console.log('  new [960 [n]] - Start a new game (Chess960: position n, random if omitted)');
           console.log('  fen [FEN] - Load position from FEN');
-          console.log('  move [uci] - Make a move (e.g., "move e2e4")');
+          console.log('  move [san|uci] - Make a move (e.g., "move Nf3" or "move g1f3")');
           console.log('  go - Let the engine make a move');
           console.log('  undo - Undo the last move');
+          console.log('  save [file] - Save the game as PGN');
+          console.log('  load [file] [n] - Load game n (default: 1) from a PGN file');
           console.log('  board - Display the current board');
           console.log('  eval - Show position evaluation');
+          console.log('  perft [n] - Count leaf nodes of the move tree to depth n');
+          console.log('  divide [n] - Perft split by root move');
           console.log('  depth [n] - Set search depth (default: 40)');
           console.log('  time [ms] - Set time limit in milliseconds (default: 3000)');
+          console.log('  multipv [n] - Show the n best moves on "go" instead of playing (engine 2 only, default: 1)');
           console.log('  help - Show commands');
           console.log('  quit - Exit the program');
           break;
@@ -323,6 +572,11 @@ else if (mode === 'interactive') {
   console.error('  Modes:');
   console.error('    interactive - Interactive command-line mode (default)');
   console.error('    uci - Universal Chess Interface mode');
+  console.error('    battle - Engine vs engine game');
+  console.error('    perft - Run the move generator perft suite');
+  console.error('    bench - Compare perft speed of the board backends (threads=N: search speed of N threads)');
+  console.error('    searchbench - Compare node counts of search variants at a fixed depth');
+  console.error('    endgames - Check king activity in the endgame regression set');
   process.exit(1);
 }
 
@@ -391,3 +645,88 @@ function printBoard(board) {
     console.log(`En passant: ${file}${rank}`);
   }
 }
+
+/**
+ * Describe a game status as returned by Board.getGameStatus
+ * @param {Object} status - The game status
+ * @returns {string|null} - Message for a finished game or claimable draw, null otherwise
+ */
+function describeGameStatus(status) {
+  if (status.reason === 'checkmate') {
+    return `Checkmate! ${status.result === '1-0' ? 'White' : 'Black'} wins.`;
+  }
+  if (status.reason === 'stalemate') {
+    return 'Stalemate! Game is a draw.';
+  }
+  if (status.over) {
+    return `Game drawn by ${GAME_STATUS_TEXT[status.reason]}.`;
+  }
+  if (status.claimable) {
+    return `A draw can be claimed by ${GAME_STATUS_TEXT[status.claimable]}.`;
+  }
+  return null;
+}
+
+/**
+ * Print the game status if the game is over or a draw can be claimed
+ * @param {Board} board - The chess board
+ */
+function printGameStatus(board) {
+  const message = describeGameStatus(board.getGameStatus());
+  if (message) {
+    console.log(message);
+  }
+}
+
+/**
+ * Start a new game in interactive mode: engine 2 also forgets its search
+ * tables and move ordering statistics
+ * @param {ChessEngine|ChessEngine2} engine - The interactive engine
+ */
+function startNewGame(engine) {
+  if (engine instanceof ChessEngine2) {
+    engine.reset();
+  } else {
+    engine.resetBoard();
+  }
+}
+
+/**
+ * Print a ranked table of candidate moves from a MultiPV search
+ * @param {Board} board - The board the search was run on
+ * @param {Array} lines - Lines from the engine's pvLines: { score, mate, pv }
+ */
+function printCandidateMoves(board, lines) {
+  if (lines.length === 0) {
+    console.log('No candidate moves (the book was used or the game is over).');
+    return;
+  }
+  
+  console.log('Rank  Eval     Line');
+  lines.forEach((line, index) => {
+    const evaluation = line.mate !== null ? `#${line.mate}` : `${line.score >= 0 ? '+' : ''}${(line.score / 100).toFixed(2)}`;
+    console.log(`${String(index + 1).padEnd(6)}${evaluation.padEnd(9)}${pvToSan(board, line.pv).join(' ')}`);
+  });
+}
+
+/**
+ * Convert a principal variation to SAN
+ * @param {Board} board - The board at the start of the line (left unchanged)
+ * @param {Array} pv - Moves in UCI notation
+ * @returns {Array} - Moves in SAN
+ */
+function pvToSan(board, pv) {
+  const san = [];
+  for (const uci of pv) {
+    const parsed = board.uciToMove(uci);
+    const move = parsed && board.findLegalMove(parsed);
+    if (!move) break;
+    
+    san.push(board.moveToSan(move));
+    board.makeMove(move);
+  }
+  for (let i = 0; i < san.length; i++) {
+    board.undoMove();
+  }
+  return san;
+}
@@ -0,0 +1,584 @@
+/**
+ * Bitboard board representation
+ *
+ * BitboardBoard keeps one bitboard per piece code next to the 64-square
+ * array and uses them for attack detection and move generation. It exposes
+ * the same public API as Board, so it can be used anywhere a Board is.
+ *
+ * A bitboard is a 64-bit set of squares stored as two 32-bit words: the low
+ * word holds a1-h4 (squares 0-31), the high word a5-h8 (squares 32-63).
+ */
+
+const { Board, EMPTY, PAWN, KNIGHT, BISHOP, ROOK, QUEEN, KING, WHITE, BLACK, PIECE_MASK, COLOR_MASK, GEN_CAPTURES, GEN_QUIETS, GEN_ALL } = require('./board');
+
+// Ray directions as file/rank steps. The first four increase the square
+// index (nearest blocker is the lowest set bit), the last four decrease it.
+const RAY_STEPS = [
+  [0, 1], [1, 1], [1, 0], [-1, 1],    // N, NE, E, NW
+  [0, -1], [-1, -1], [-1, 0], [1, -1] // S, SW, W, SE
+];
+const POSITIVE_RAYS = 4;
+
+// Ray indices for each kind of slider
+const ROOK_RAYS = [0, 2, 4, 6];
+const BISHOP_RAYS = [1, 3, 5, 7];
+
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+const KING_STEPS = [[0, 1], [1, 1], [1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1]];
+
+const PROMOTION_PIECES = [QUEEN, ROOK, BISHOP, KNIGHT];
+
+/**
+ * Build a per-square attack table from single steps
+ * @param {Array} steps - [file, rank] offsets
+ * @returns {Int32Array} - Bitboard per square, indexed by square * 2 (+1 for the high word)
+ */
+function stepAttacks(steps) {
+  const table = new Int32Array(64 * 2);
+
+  for (let square = 0; square < 64; square++) {
+    const file = square % 8;
+    const rank = Math.floor(square / 8);
+
+    for (const [df, dr] of steps) {
+      const f = file + df;
+      const r = rank + dr;
+      if (f >= 0 && f < 8 && r >= 0 && r < 8) {
+        const target = r * 8 + f;
+        table[square * 2 + (target >> 5)] |= 1 << (target & 31);
+      }
+    }
+  }
+
+  return table;
+}
+
+/**
+ * Build the ray table: every square reachable from a square in one direction on an empty board
+ * @returns {Int32Array} - Bitboard per direction and square, indexed by (direction * 64 + square) * 2
+ */
+function rayTable() {
+  const table = new Int32Array(RAY_STEPS.length * 64 * 2);
+
+  RAY_STEPS.forEach(([df, dr], direction) => {
+    for (let square = 0; square < 64; square++) {
+      let f = square % 8 + df;
+      let r = Math.floor(square / 8) + dr;
+
+      while (f >= 0 && f < 8 && r >= 0 && r < 8) {
+        const target = r * 8 + f;
+        table[(direction * 64 + square) * 2 + (target >> 5)] |= 1 << (target & 31);
+        f += df;
+        r += dr;
+      }
+    }
+  });
+
+  return table;
+}
+
+const KNIGHT_ATTACKS = stepAttacks(KNIGHT_STEPS);
+const KING_ATTACKS = stepAttacks(KING_STEPS);
+
+// Squares attacked by a pawn of each color standing on a square
+const PAWN_ATTACKS = {
+  [WHITE]: stepAttacks([[-1, 1], [1, 1]]),
+  [BLACK]: stepAttacks([[-1, -1], [1, -1]])
+};
+
+const RAYS = rayTable();
+
+/**
+ * Index of the lowest set bit of a non-zero 32-bit word
+ * @param {number} word - The word
+ * @returns {number} - Bit index (0-31)
+ */
+function lowestBit(word) {
+  return 31 - Math.clz32(word & -word);
+}
+
+/**
+ * Index of the highest set bit of a non-zero 32-bit word
+ * @param {number} word - The word
+ * @returns {number} - Bit index (0-31)
+ */
+function highestBit(word) {
+  return 31 - Math.clz32(word);
+}
+
+/**
+ * Find the first occupied square along a ray
+ * @param {number} square - The start square (not included)
+ * @param {number} direction - Ray index into RAY_STEPS
+ * @param {number} occLo - Occupancy, low word
+ * @param {number} occHi - Occupancy, high word
+ * @returns {number} - The blocking square, or -1 if the ray is empty
+ */
+function firstBlocker(square, direction, occLo, occHi) {
+  const idx = (direction * 64 + square) * 2;
+  const lo = RAYS[idx] & occLo;
+  const hi = RAYS[idx + 1] & occHi;
+
+  if (direction < POSITIVE_RAYS) {
+    if (lo) return lowestBit(lo);
+    if (hi) return 32 + lowestBit(hi);
+  } else {
+    if (hi) return 32 + highestBit(hi);
+    if (lo) return highestBit(lo);
+  }
+
+  return -1;
+}
+
+/**
+ * Test whether a bitboard contains a square
+ * @param {number} lo - Bitboard, low word
+ * @param {number} hi - Bitboard, high word
+ * @param {number} square - The square
+ * @returns {boolean} - True if the square's bit is set
+ */
+function hasSquare(lo, hi, square) {
+  return ((square < 32 ? lo : hi) & (1 << (square & 31))) !== 0;
+}
+
+class BitboardBoard extends Board {
+  constructor() {
+    super();
+
+    // One bitboard per piece code, plus all pieces of a color at index WHITE / BLACK
+    this.bitboards = new Int32Array(23 * 2);
+
+    this.resetBitboards();
+  }
+
+  /**
+   * Rebuild all bitboards from the square array
+   */
+  resetBitboards() {
+    this.bitboards.fill(0);
+
+    for (let square = 0; square < 64; square++) {
+      if (this.squares[square] !== EMPTY) {
+        this.toggleBit(this.squares[square], square);
+      }
+    }
+  }
+
+  /**
+   * Add or remove a piece on a square in the bitboards
+   * @param {number} piece - The piece code
+   * @param {number} square - The square index
+   */
+  toggleBit(piece, square) {
+    const word = square >> 5;
+    const bit = 1 << (square & 31);
+    this.bitboards[piece * 2 + word] ^= bit;
+    this.bitboards[(piece & COLOR_MASK) * 2 + word] ^= bit;
+  }
+
+  /**
+   * Apply the piece changes of a move to the bitboards. Every change is a
+   * toggle, so the same call both makes and unmakes the move.
+   * @param {Object} move - The move
+   */
+  toggleMove(move) {
+    const { from, to, piece, captured, promotion, isEnPassant, isCastle } = move;
+    const color = piece & COLOR_MASK;
+
+    if (isCastle) {
+      const { rookFrom, rookTo } = this.getCastlingRookSquares(move);
+      this.toggleBit(piece, from);
+      this.toggleBit(piece, to);
+      this.toggleBit(ROOK | color, rookFrom);
+      this.toggleBit(ROOK | color, rookTo);
+      return;
+    }
+
+    this.toggleBit(piece, from);
+    if (captured !== EMPTY) {
+      this.toggleBit(captured, isEnPassant ? to - (color === WHITE ? 8 : -8) : to);
+    }
+    this.toggleBit(promotion !== EMPTY ? promotion | color : piece, to);
+  }
+
+  /**
+   * Set up the initial chess position
+   */
+  setupInitialPosition() {
+    super.setupInitialPosition();
+    this.resetBitboards();
+  }
+
+  /**
+   * Load position from FEN notation
+   * @param {string} fen - The FEN string
+   */
+  loadFromFen(fen) {
+    super.loadFromFen(fen);
+    this.resetBitboards();
+  }
+
+  /**
+   * Make a move on the board
+   * @param {Object} move - The move to make
+   */
+  makeMove(move) {
+    super.makeMove(move);
+    this.toggleMove(move);
+  }
+
+  /**
+   * Undo the last move
+   * @returns {Object|null} - The undone move, or null if there is none
+   */
+  undoMove() {
+    const move = super.undoMove();
+    if (move) {
+      this.toggleMove(move);
+    }
+    return move;
+  }
+
+  /**
+   * Check if a square is attacked by a specific color
+   * @param {number} square - The square to check
+   * @param {number} attackingColor - The color of the attacker
+   * @returns {boolean} - True if the square is attacked
+   */
+  isSquareAttacked(square, attackingColor) {
+    const bb = this.bitboards;
+    return this.isAttackedWith(square, attackingColor, bb[WHITE * 2] | bb[BLACK * 2], bb[WHITE * 2 + 1] | bb[BLACK * 2 + 1], -1);
+  }
+
+  /**
+   * Check if a square is attacked for a hypothetical occupancy, used to test
+   * moves for legality without making them
+   * @param {number} square - The square to check
+   * @param {number} attackingColor - The color of the attacker
+   * @param {number} occLo - Occupancy, low word
+   * @param {number} occHi - Occupancy, high word
+   * @param {number} removed - Square of an attacker that has been captured, or -1
+   * @returns {boolean} - True if the square is attacked
+   */
+  isAttackedWith(square, attackingColor, occLo, occHi, removed) {
+    const bb = this.bitboards;
+    const idx = square * 2;
+
+    // Captured pieces no longer attack
+    let maskLo = -1;
+    let maskHi = -1;
+    if (removed !== -1) {
+      if (removed < 32) {
+        maskLo = ~(1 << removed);
+      } else {
+        maskHi = ~(1 << (removed - 32));
+      }
+    }
+
+    // A pawn of ours on the square would attack exactly the squares their pawns attack it from
+    const ownPawnAttacks = PAWN_ATTACKS[attackingColor === WHITE ? BLACK : WHITE];
+    const pawn = (PAWN | attackingColor) * 2;
+    if ((ownPawnAttacks[idx] & bb[pawn] & maskLo) || (ownPawnAttacks[idx + 1] & bb[pawn + 1] & maskHi)) {
+      return true;
+    }
+
+    const knight = (KNIGHT | attackingColor) * 2;
+    if ((KNIGHT_ATTACKS[idx] & bb[knight] & maskLo) || (KNIGHT_ATTACKS[idx + 1] & bb[knight + 1] & maskHi)) {
+      return true;
+    }
+
+    const king = (KING | attackingColor) * 2;
+    if ((KING_ATTACKS[idx] & bb[king]) || (KING_ATTACKS[idx + 1] & bb[king + 1])) {
+      return true;
+    }
+
+    // Sliders: the nearest piece along each ray must be a matching enemy slider
+    const queen = (QUEEN | attackingColor) * 2;
+    const rook = (ROOK | attackingColor) * 2;
+    const rooksLo = (bb[rook] | bb[queen]) & maskLo;
+    const rooksHi = (bb[rook + 1] | bb[queen + 1]) & maskHi;
+    if (rooksLo || rooksHi) {
+      for (const direction of ROOK_RAYS) {
+        const blocker = firstBlocker(square, direction, occLo, occHi);
+        if (blocker !== -1 && hasSquare(rooksLo, rooksHi, blocker)) {
+          return true;
+        }
+      }
+    }
+
+    const bishop = (BISHOP | attackingColor) * 2;
+    const bishopsLo = (bb[bishop] | bb[queen]) & maskLo;
+    const bishopsHi = (bb[bishop + 1] | bb[queen + 1]) & maskHi;
+    if (bishopsLo || bishopsHi) {
+      for (const direction of BISHOP_RAYS) {
+        const blocker = firstBlocker(square, direction, occLo, occHi);
+        if (blocker !== -1 && hasSquare(bishopsLo, bishopsHi, blocker)) {
+          return true;
+        }
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Generate legal moves of the given kinds
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   * @returns {Array} - Array of legal moves
+   */
+  generateLegalMoves(kinds) {
+    const moves = [];
+    this.generatePseudoLegalMoves(moves, kinds);
+    return moves.filter(move => this.isLegalWith(move));
+  }
+
+  /**
+   * Check that a pseudo-legal move does not leave the mover's king in check.
+   * The test works on the bitboards alone, so no checks and pins are needed.
+   * @param {Object} move - The move
+   * @returns {boolean} - True if the move is legal
+   */
+  isLegalWith(move) {
+    const { from, to, piece, isEnPassant, isCastle } = move;
+    const us = piece & COLOR_MASK;
+    const them = us === WHITE ? BLACK : WHITE;
+
+    // Castling already checked the king's path; play it out to catch a
+    // Chess960 rook that was shielding the king's target square
+    if (isCastle) {
+      this.makeMove(move);
+      const inCheck = this.isInCheck(us);
+      this.undoMove();
+      return !inCheck;
+    }
+
+    const bb = this.bitboards;
+    let occLo = bb[WHITE * 2] | bb[BLACK * 2];
+    let occHi = bb[WHITE * 2 + 1] | bb[BLACK * 2 + 1];
+
+    // Lift the piece and put it on its target square
+    if (from < 32) occLo &= ~(1 << from); else occHi &= ~(1 << (from - 32));
+    if (to < 32) occLo |= 1 << to; else occHi |= 1 << (to - 32);
+
+    let removed = move.captured !== EMPTY ? to : -1;
+    if (isEnPassant) {
+      removed = to - (us === WHITE ? 8 : -8);
+      if (removed < 32) occLo &= ~(1 << removed); else occHi &= ~(1 << (removed - 32));
+    }
+
+    const kingSquare = (piece & PIECE_MASK) === KING ? to : (us === WHITE ? this.whiteKingPos : this.blackKingPos);
+    return !this.isAttackedWith(kingSquare, them, occLo, occHi, removed);
+  }
+
+  /**
+   * Generate moves for the side to move without checking king safety
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  generatePseudoLegalMoves(moves, kinds = GEN_ALL) {
+    const bb = this.bitboards;
+
+    for (let word = 0; word < 2; word++) {
+      let bits = bb[this.turn * 2 + word];
+
+      while (bits) {
+        this.generatePieceMoves(word * 32 + lowestBit(bits), moves, kinds);
+        bits &= bits - 1;
+      }
+    }
+  }
+
+  /**
+   * Generate moves for the piece on a square without checking king safety
+   * @param {number} square - The piece's square
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  generatePieceMoves(square, moves, kinds = GEN_ALL) {
+    switch (this.squares[square] & PIECE_MASK) {
+      case PAWN:
+        this.generatePawnMoves(square, moves, kinds);
+        break;
+      case KNIGHT:
+        this.addTargets(square, KNIGHT_ATTACKS[square * 2], KNIGHT_ATTACKS[square * 2 + 1], moves, kinds);
+        break;
+      case BISHOP:
+        this.generateSliderMoves(square, BISHOP_RAYS, moves, kinds);
+        break;
+      case ROOK:
+        this.generateSliderMoves(square, ROOK_RAYS, moves, kinds);
+        break;
+      case QUEEN:
+        this.generateSliderMoves(square, BISHOP_RAYS, moves, kinds);
+        this.generateSliderMoves(square, ROOK_RAYS, moves, kinds);
+        break;
+      case KING:
+        this.generateKingMoves(square, moves, kinds);
+        break;
+    }
+  }
+
+  /**
+   * Generate king moves
+   * @param {number} square - The king's square
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  generateKingMoves(square, moves, kinds = GEN_ALL) {
+    this.addTargets(square, KING_ATTACKS[square * 2], KING_ATTACKS[square * 2 + 1], moves, kinds);
+    if (kinds & GEN_QUIETS) {
+      this.generateCastlingMoves(square, moves);
+    }
+  }
+
+  /**
+   * Add a move to every target square that is empty (quiets) or holds an enemy piece (captures)
+   * @param {number} from - The source square
+   * @param {number} lo - Target squares, low word
+   * @param {number} hi - Target squares, high word
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  addTargets(from, lo, hi, moves, kinds) {
+    const bb = this.bitboards;
+    const them = (this.turn === WHITE ? BLACK : WHITE) * 2;
+    let allowedLo = 0;
+    let allowedHi = 0;
+
+    if (kinds & GEN_CAPTURES) {
+      allowedLo |= bb[them];
+      allowedHi |= bb[them + 1];
+    }
+    if (kinds & GEN_QUIETS) {
+      allowedLo |= ~(bb[WHITE * 2] | bb[BLACK * 2]);
+      allowedHi |= ~(bb[WHITE * 2 + 1] | bb[BLACK * 2 + 1]);
+    }
+    lo &= allowedLo;
+    hi &= allowedHi;
+
+    while (lo) {
+      moves.push(this.createMove(from, lowestBit(lo)));
+      lo &= lo - 1;
+    }
+    while (hi) {
+      moves.push(this.createMove(from, 32 + lowestBit(hi)));
+      hi &= hi - 1;
+    }
+  }
+
+  /**
+   * Generate sliding moves along the given rays, up to and including the first blocker
+   * @param {number} square - The piece's square
+   * @param {Array} directions - Ray indices
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  generateSliderMoves(square, directions, moves, kinds) {
+    const bb = this.bitboards;
+    const occLo = bb[WHITE * 2] | bb[BLACK * 2];
+    const occHi = bb[WHITE * 2 + 1] | bb[BLACK * 2 + 1];
+    let lo = 0;
+    let hi = 0;
+
+    for (const direction of directions) {
+      const idx = (direction * 64 + square) * 2;
+      lo |= RAYS[idx];
+      hi |= RAYS[idx + 1];
+
+      // Cut the ray off behind the blocker
+      const blocker = firstBlocker(square, direction, occLo, occHi);
+      if (blocker !== -1) {
+        const behind = (direction * 64 + blocker) * 2;
+        lo &= ~RAYS[behind];
+        hi &= ~RAYS[behind + 1];
+      }
+    }
+
+    this.addTargets(square, lo, hi, moves, kinds);
+  }
+
+  /**
+   * Generate pawn moves
+   * @param {number} square - The pawn's square
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  generatePawnMoves(square, moves, kinds = GEN_ALL) {
+    const us = this.turn;
+    const forward = us === WHITE ? 8 : -8;
+    const rank = square >> 3;
+    const promotes = rank === (us === WHITE ? 6 : 1);
+
+    const addPawnMove = (to, isEnPassant = false) => {
+      if (promotes) {
+        for (const promotion of PROMOTION_PIECES) {
+          moves.push(this.createMove(square, to, promotion));
+        }
+      } else {
+        moves.push(this.createMove(square, to, EMPTY, isEnPassant));
+      }
+    };
+
+    // Pushes
+    const to = square + forward;
+    if ((kinds & GEN_QUIETS) && this.squares[to] === EMPTY) {
+      addPawnMove(to);
+
+      if (rank === (us === WHITE ? 1 : 6) && this.squares[to + forward] === EMPTY) {
+        moves.push(this.createMove(square, to + forward));
+      }
+    }
+
+    // Captures
+    if (!(kinds & GEN_CAPTURES)) {
+      return;
+    }
+
+    const them = (us === WHITE ? BLACK : WHITE) * 2;
+    let lo = PAWN_ATTACKS[us][square * 2];
+    let hi = PAWN_ATTACKS[us][square * 2 + 1];
+
+    if (this.enPassantSquare !== -1 && hasSquare(lo, hi, this.enPassantSquare)) {
+      addPawnMove(this.enPassantSquare, true);
+    }
+
+    lo &= this.bitboards[them];
+    hi &= this.bitboards[them + 1];
+    while (lo) {
+      addPawnMove(lowestBit(lo));
+      lo &= lo - 1;
+    }
+    while (hi) {
+      addPawnMove(32 + lowestBit(hi));
+      hi &= hi - 1;
+    }
+  }
+}
+
+// Available board implementations, by name
+const BOARD_BACKENDS = {
+  mailbox: Board,
+  bitboard: BitboardBoard
+};
+
+/**
+ * Create a board of the given backend
+ * @param {string} backend - Backend name: "mailbox" or "bitboard"
+ * @returns {Board} - A new board
+ */
+function createBoard(backend = 'mailbox') {
+  const BoardClass = BOARD_BACKENDS[backend];
+  if (!BoardClass) {
+    throw new Error(`Unknown board backend: ${backend} (expected ${Object.keys(BOARD_BACKENDS).join(' or ')})`);
+  }
+  return new BoardClass();
+}
+
+module.exports = {
+  BitboardBoard,
+  BOARD_BACKENDS,
+  createBoard,
+  KNIGHT_ATTACKS,
+  KING_ATTACKS,
+  PAWN_ATTACKS
+};
@@ -2,6 +2,8 @@
  * Chess board representation
  */
 
+const { PIECE_KEYS, CASTLING_KEYS, EN_PASSANT_KEYS, SIDE_KEY, toBigInt } = require('./zobrist');
+
 // Board constants
 const EMPTY = 0;
 const PAWN = 1;
@@ -23,6 +25,14 @@ const CASTLE_WHITE_QUEENSIDE = 2;
 const CASTLE_BLACK_KINGSIDE = 4;
 const CASTLE_BLACK_QUEENSIDE = 8;
 
+// Rook start squares for standard chess, per castling right
+const STANDARD_CASTLING_ROOKS = {
+  [CASTLE_WHITE_KINGSIDE]: 7,
+  [CASTLE_WHITE_QUEENSIDE]: 0,
+  [CASTLE_BLACK_KINGSIDE]: 63,
+  [CASTLE_BLACK_QUEENSIDE]: 56
+};
+
 // File and rank utilities
 const FILES = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
 const RANKS = ['1', '2', '3', '4', '5', '6', '7', '8'];
@@ -65,6 +75,41 @@ const ROOK_DIRECTIONS = [DIRECTIONS.N, DIRECTIONS.E, DIRECTIONS.S, DIRECTIONS.W]
 // Queen move directions (combination of bishop and rook)
 const QUEEN_DIRECTIONS = [...BISHOP_DIRECTIONS, ...ROOK_DIRECTIONS];
 
+// Piece values for static exchange evaluation (knight and bishop count the same,
+// so trading one for the other is not a losing exchange)
+const SEE_VALUES = {
+  [PAWN]: 100,
+  [KNIGHT]: 320,
+  [BISHOP]: 320,
+  [ROOK]: 500,
+  [QUEEN]: 900,
+  [KING]: 20000
+};
+
+// Halfmove clock values where the fifty-move rule lets a player claim a draw,
+// and where the seventy-five-move rule ends the game (the most a clock can reach)
+const FIFTY_MOVE_CLOCK = 100;
+const MAX_HALFMOVE_CLOCK = 150;
+
+// Kinds of moves to generate
+const GEN_CAPTURES = 1;
+const GEN_QUIETS = 2;
+const GEN_ALL = GEN_CAPTURES | GEN_QUIETS;
+
+// Rays out from the king as [file, rank] steps, for finding checks and pins
+const KING_RAYS = [[0, 1], [0, -1], [1, 0], [-1, 0], [1, 1], [-1, 1], [1, -1], [-1, -1]];
+const KNIGHT_STEPS = [[1, 2], [2, 1], [2, -1], [1, -2], [-1, -2], [-2, -1], [-2, 1], [-1, 2]];
+
+// SAN piece letters
+const SAN_PIECE_CHARS = {
+  [KNIGHT]: 'N',
+  [BISHOP]: 'B',
+  [ROOK]: 'R',
+  [QUEEN]: 'Q',
+  [KING]: 'K'
+};
+const SAN_PIECE_TYPES = { N: KNIGHT, B: BISHOP, R: ROOK, Q: QUEEN, K: KING };
+
 class Board {
   constructor() {
     // Board is represented as an array of 64 squares
@@ -77,12 +122,174 @@ class Board {
     this.halfMoveClock = 0;
     this.fullMoveNumber = 1;
     
+    // Start square of the rook belonging to each castling right (differs from a/h files in Chess960)
+    this.castlingRooks = { ...STANDARD_CASTLING_ROOKS };
+    
+    // Chess960 notation: castling is written as the king capturing its own rook in UCI
+    this.chess960 = false;
+    
     // King positions for quick access (useful for check detection)
     this.whiteKingPos = SQUARES.e1;
     this.blackKingPos = SQUARES.e8;
     
     // Move history for undoing moves
     this.history = [];
+    this.nullMoveHistory = [];
+    
+    // Zobrist keys (64-bit, split into 32-bit words) for the full position and pawns only
+    this.hashLo = 0;
+    this.hashHi = 0;
+    this.pawnHashLo = 0;
+    this.pawnHashHi = 0;
+    
+    // When enabled, every move recomputes the hash from scratch and throws on mismatch
+    this.verifyHash = false;
+    
+    this.resetHash();
+  }
+  
+  /**
+   * Zobrist key of the current position
+   * @returns {bigint} - 64-bit position key
+   */
+  get hash() {
+    return toBigInt(this.hashLo, this.hashHi);
+  }
+  
+  /**
+   * Zobrist key of the pawn structure
+   * @returns {bigint} - 64-bit pawn key
+   */
+  get pawnHash() {
+    return toBigInt(this.pawnHashLo, this.pawnHashHi);
+  }
+  
+  /**
+   * Check whether the current en passant square can actually be captured on.
+   * Only then is it part of the hash, so positions differing only by a dead
+   * en passant square hash identically.
+   * @returns {boolean} - True if a pawn of the side to move attacks the en passant square
+   */
+  isEnPassantRelevant() {
+    const ep = this.enPassantSquare;
+    if (ep === -1) {
+      return false;
+    }
+    
+    // The capturing pawn stands beside the double-pushed pawn
+    const pawnSquare = ep + (this.turn === WHITE ? -8 : 8);
+    const ourPawn = PAWN | this.turn;
+    const file = pawnSquare % 8;
+    
+    return (file > 0 && this.squares[pawnSquare - 1] === ourPawn) ||
+           (file < 7 && this.squares[pawnSquare + 1] === ourPawn);
+  }
+  
+  /**
+   * Compute the Zobrist keys of the current position from scratch
+   * @returns {Object} - The full and pawn keys as 32-bit word pairs
+   */
+  computeHash() {
+    let lo = 0;
+    let hi = 0;
+    let pawnLo = 0;
+    let pawnHi = 0;
+    
+    for (let square = 0; square < 64; square++) {
+      const piece = this.squares[square];
+      if (piece === EMPTY) continue;
+      
+      const idx = (piece * 64 + square) * 2;
+      lo ^= PIECE_KEYS[idx];
+      hi ^= PIECE_KEYS[idx + 1];
+      
+      if ((piece & PIECE_MASK) === PAWN) {
+        pawnLo ^= PIECE_KEYS[idx];
+        pawnHi ^= PIECE_KEYS[idx + 1];
+      }
+    }
+    
+    lo ^= CASTLING_KEYS[this.castlingRights * 2];
+    hi ^= CASTLING_KEYS[this.castlingRights * 2 + 1];
+    
+    if (this.isEnPassantRelevant()) {
+      const file = this.enPassantSquare % 8;
+      lo ^= EN_PASSANT_KEYS[file * 2];
+      hi ^= EN_PASSANT_KEYS[file * 2 + 1];
+    }
+    
+    if (this.turn === BLACK) {
+      lo ^= SIDE_KEY[0];
+      hi ^= SIDE_KEY[1];
+    }
+    
+    return { lo, hi, pawnLo, pawnHi };
+  }
+  
+  /**
+   * Recompute the stored Zobrist keys from the board contents
+   */
+  resetHash() {
+    const { lo, hi, pawnLo, pawnHi } = this.computeHash();
+    this.hashLo = lo;
+    this.hashHi = hi;
+    this.pawnHashLo = pawnLo;
+    this.pawnHashHi = pawnHi;
+  }
+  
+  /**
+   * Assert that the incrementally updated keys match a full recomputation
+   */
+  checkHash() {
+    const { lo, hi, pawnLo, pawnHi } = this.computeHash();
+    if (lo !== this.hashLo || hi !== this.hashHi || pawnLo !== this.pawnHashLo || pawnHi !== this.pawnHashHi) {
+      throw new Error(`Zobrist hash mismatch after move in position ${this.toFen()}`);
+    }
+  }
+  
+  /**
+   * Toggle a piece on a square in the Zobrist keys
+   * @param {number} piece - The piece code
+   * @param {number} square - The square index
+   */
+  hashPiece(piece, square) {
+    const idx = (piece * 64 + square) * 2;
+    this.hashLo ^= PIECE_KEYS[idx];
+    this.hashHi ^= PIECE_KEYS[idx + 1];
+    
+    if ((piece & PIECE_MASK) === PAWN) {
+      this.pawnHashLo ^= PIECE_KEYS[idx];
+      this.pawnHashHi ^= PIECE_KEYS[idx + 1];
+    }
+  }
+  
+  /**
+   * Toggle the current en passant file in the Zobrist key if it is capturable
+   */
+  hashEnPassant() {
+    if (this.isEnPassantRelevant()) {
+      const file = this.enPassantSquare % 8;
+      this.hashLo ^= EN_PASSANT_KEYS[file * 2];
+      this.hashHi ^= EN_PASSANT_KEYS[file * 2 + 1];
+    }
+  }
+  
+  /**
+   * Replace the castling rights, keeping the Zobrist key in sync
+   * @param {number} rights - The new castling rights
+   */
+  setCastlingRights(rights) {
+    this.hashLo ^= CASTLING_KEYS[this.castlingRights * 2] ^ CASTLING_KEYS[rights * 2];
+    this.hashHi ^= CASTLING_KEYS[this.castlingRights * 2 + 1] ^ CASTLING_KEYS[rights * 2 + 1];
+    this.castlingRights = rights;
+  }
+  
+  /**
+   * Toggle the side to move in the Zobrist key
+   */
+  hashSide() {
+    this.hashLo ^= SIDE_KEY[0];
+    this.hashHi ^= SIDE_KEY[1];
   }
   
   /**
@@ -125,6 +332,7 @@ class Board {
     // Reset game state
     this.turn = WHITE;
     this.castlingRights = CASTLE_WHITE_KINGSIDE | CASTLE_WHITE_QUEENSIDE | CASTLE_BLACK_KINGSIDE | CASTLE_BLACK_QUEENSIDE;
+    this.castlingRooks = { ...STANDARD_CASTLING_ROOKS };
     this.enPassantSquare = -1;
     this.halfMoveClock = 0;
     this.fullMoveNumber = 1;
@@ -135,6 +343,9 @@ class Board {
     
     // Clear history
     this.history = [];
+    this.nullMoveHistory = [];
+    
+    this.resetHash();
   }
   
   /**
@@ -142,19 +353,26 @@ class Board {
    * @param {string} fen - The FEN string
    */
   loadFromFen(fen) {
-    const parts = fen.trim().split(/\s+/);
-    if (parts.length < 4) {
-      throw new Error('Invalid FEN string');
+    const { valid, errors } = validateFen(fen);
+    if (!valid) {
+      throw new Error(`Invalid FEN: ${errors.join('; ')}`);
     }
     
+    this.parseFen(fen);
+  }
+  
+  /**
+   * Set up the position described by a FEN string without validating it
+   * @param {string} fen - The FEN string (at least 4 fields)
+   */
+  parseFen(fen) {
+    const parts = fen.trim().split(/\s+/);
+    
     // Clear the board
     this.squares.fill(EMPTY);
     
     // Parse piece placement
     const rows = parts[0].split('/');
-    if (rows.length !== 8) {
-      throw new Error('Invalid FEN: piece placement must have 8 rows');
-    }
     
     let square = 56; // Start at a8
     for (const row of rows) {
@@ -187,13 +405,13 @@ class Board {
     // Parse active color
     this.turn = parts[1] === 'w' ? WHITE : BLACK;
     
-    // Parse castling rights
+    // Parse castling rights: KQkq (outermost rook, X-FEN) or rook files (Shredder-FEN, X-FEN)
     this.castlingRights = 0;
+    this.castlingRooks = { ...STANDARD_CASTLING_ROOKS };
     if (parts[2] !== '-') {
-      if (parts[2].includes('K')) this.castlingRights |= CASTLE_WHITE_KINGSIDE;
-      if (parts[2].includes('Q')) this.castlingRights |= CASTLE_WHITE_QUEENSIDE;
-      if (parts[2].includes('k')) this.castlingRights |= CASTLE_BLACK_KINGSIDE;
-      if (parts[2].includes('q')) this.castlingRights |= CASTLE_BLACK_QUEENSIDE;
+      for (const char of parts[2]) {
+        this.parseCastlingChar(char);
+      }
     }
     
     // Parse en passant square
@@ -209,6 +427,87 @@ class Board {
     
     // Clear history
     this.history = [];
+    this.nullMoveHistory = [];
+    
+    this.resetHash();
+  }
+  
+  /**
+   * Apply one character of a FEN castling field
+   * @param {string} char - K, Q, k, q or a rook file letter (A-H white, a-h black)
+   */
+  parseCastlingChar(char) {
+    const color = char === char.toUpperCase() ? WHITE : BLACK;
+    const backRank = color === WHITE ? 0 : 56;
+    const kingSquare = color === WHITE ? this.whiteKingPos : this.blackKingPos;
+    const rook = ROOK | color;
+    const kingFile = kingSquare % 8;
+    const lower = char.toLowerCase();
+    
+    // Kings outside the back rank cannot castle
+    if (kingSquare < backRank || kingSquare > backRank + 7) {
+      return;
+    }
+    
+    let rookFile = -1;
+    if (lower === 'k') {
+      // Outermost rook on the h-side of the king
+      for (let file = 7; file > kingFile; file--) {
+        if (this.squares[backRank + file] === rook) {
+          rookFile = file;
+          break;
+        }
+      }
+    } else if (lower === 'q') {
+      // Outermost rook on the a-side of the king
+      for (let file = 0; file < kingFile; file++) {
+        if (this.squares[backRank + file] === rook) {
+          rookFile = file;
+          break;
+        }
+      }
+    } else if (FILES.includes(lower)) {
+      rookFile = FILES.indexOf(lower);
+    }
+    
+    if (rookFile === -1 || rookFile === kingFile || this.squares[backRank + rookFile] !== rook) {
+      return;
+    }
+    
+    const kingside = rookFile > kingFile;
+    const right = color === WHITE ?
+      (kingside ? CASTLE_WHITE_KINGSIDE : CASTLE_WHITE_QUEENSIDE) :
+      (kingside ? CASTLE_BLACK_KINGSIDE : CASTLE_BLACK_QUEENSIDE);
+    
+    this.castlingRights |= right;
+    this.castlingRooks[right] = backRank + rookFile;
+  }
+  
+  /**
+   * Get the FEN castling character for a right: K/Q/k/q when the rook is the
+   * outermost one on that side (always true in standard chess), else its file (X-FEN)
+   * @param {number} right - The castling right
+   * @returns {string} - The castling character
+   */
+  castlingChar(right) {
+    const white = right === CASTLE_WHITE_KINGSIDE || right === CASTLE_WHITE_QUEENSIDE;
+    const kingside = right === CASTLE_WHITE_KINGSIDE || right === CASTLE_BLACK_KINGSIDE;
+    const rookSquare = this.castlingRooks[right];
+    const rook = this.squares[rookSquare];
+    
+    // Any other rook further out on the same side?
+    let outermost = true;
+    const step = kingside ? 1 : -1;
+    const edge = kingside ? 7 : 0;
+    for (let file = rookSquare % 8 + step; kingside ? file <= edge : file >= edge; file += step) {
+      if (this.squares[rookSquare - rookSquare % 8 + file] === rook) {
+        outermost = false;
+        break;
+      }
+    }
+    
+    const char = outermost ? (kingside ? 'k' : 'q') : FILES[rookSquare % 8];
+    return white ? char.toUpperCase() : char;
   }
   
   /**
@@ -295,10 +594,9 @@ class Board {
     
     // Castling rights
     let castling = '';
-    if (this.castlingRights & CASTLE_WHITE_KINGSIDE) castling += 'K';
-    if (this.castlingRights & CASTLE_WHITE_QUEENSIDE) castling += 'Q';
-    if (this.castlingRights & CASTLE_BLACK_KINGSIDE) castling += 'k';
-    if (this.castlingRights & CASTLE_BLACK_QUEENSIDE) castling += 'q';
+    for (const right of [CASTLE_WHITE_KINGSIDE, CASTLE_WHITE_QUEENSIDE, CASTLE_BLACK_KINGSIDE, CASTLE_BLACK_QUEENSIDE]) {
+      if (this.castlingRights & right) castling += this.castlingChar(right);
+    }
     fen += ' ' + (castling || '-');
     
     // En passant square
@@ -428,62 +726,366 @@ class Board {
     return this.isSquareAttacked(kingPos, color === WHITE ? BLACK : WHITE);
   }
   
+  /**
+   * Find all pieces of a color attacking a square. Squares listed in
+   * `removed` count as empty, so sliders behind a piece that has already
+   * joined an exchange are found (x-ray attacks).
+   * @param {number} square - The attacked square
+   * @param {number} color - The color of the attackers
+   * @param {Array} removed - Squares to treat as empty (optional)
+   * @returns {Array} - Squares of the attacking pieces
+   */
+  getAttackers(square, color, removed = []) {
+    const attackers = [];
+    const file = square % 8;
+    const rank = Math.floor(square / 8);
+    const pieceAt = (s) => removed.includes(s) ? EMPTY : this.squares[s];
+    
+    // Pawns attack diagonally forward, so look one rank back from the square
+    const pawnRank = rank + (color === WHITE ? -1 : 1);
+    const contactAttackers = [
+      ...KNIGHT_STEPS.map(([df, dr]) => [file + df, rank + dr, KNIGHT]),
+      ...KING_RAYS.map(([df, dr]) => [file + df, rank + dr, KING]),
+      [file - 1, pawnRank, PAWN],
+      [file + 1, pawnRank, PAWN]
+    ];
+    for (const [f, r, pieceType] of contactAttackers) {
+      if (f >= 0 && f < 8 && r >= 0 && r < 8 && pieceAt(r * 8 + f) === (pieceType | color)) {
+        attackers.push(r * 8 + f);
+      }
+    }
+    
+    // Sliders: the first piece along each ray
+    for (const [df, dr] of KING_RAYS) {
+      const slider = df !== 0 && dr !== 0 ? BISHOP : ROOK;
+      
+      for (let f = file + df, r = rank + dr; f >= 0 && f < 8 && r >= 0 && r < 8; f += df, r += dr) {
+        const piece = pieceAt(r * 8 + f);
+        if (piece === EMPTY) continue;
+        
+        if ((piece & COLOR_MASK) === color && ((piece & PIECE_MASK) === QUEEN || (piece & PIECE_MASK) === slider)) {
+          attackers.push(r * 8 + f);
+        }
+        break;
+      }
+    }
+    
+    return attackers;
+  }
+  
+  /**
+   * Static exchange evaluation: the material won or lost by a move if both
+   * sides keep recapturing on its target square with their least valuable
+   * attacker, each free to stop when continuing would lose material.
+   * Pins are ignored.
+   * @param {Object} move - The move (normally a capture)
+   * @returns {number} - Net material gain for the side making the move, in centipawns
+   */
+  see(move) {
+    if (move.isCastle) {
+      return 0;
+    }
+    
+    const { from, to } = move;
+    const us = move.piece & COLOR_MASK;
+    const gain = [];
+    const removed = [from];
+    
+    gain[0] = move.captured !== EMPTY ? SEE_VALUES[move.captured & PIECE_MASK] : 0;
+    if (move.isEnPassant) {
+      removed.push(to - (us === WHITE ? 8 : -8));
+    }
+    
+    // Value of the piece now standing on the target square
+    let onSquare = SEE_VALUES[move.piece & PIECE_MASK];
+    if (move.promotion !== EMPTY) {
+      gain[0] += SEE_VALUES[move.promotion] - SEE_VALUES[PAWN];
+      onSquare = SEE_VALUES[move.promotion];
+    }
+    
+    let side = us === WHITE ? BLACK : WHITE;
+    let depth = 0;
+    
+    for (;;) {
+      // Recapture with the least valuable attacker
+      const attackers = this.getAttackers(to, side, removed);
+      if (attackers.length === 0) break;
+      
+      let attacker = attackers[0];
+      for (const s of attackers) {
+        if (SEE_VALUES[this.squares[s] & PIECE_MASK] < SEE_VALUES[this.squares[attacker] & PIECE_MASK]) {
+          attacker = s;
+        }
+      }
+      
+      // Material balance for this side if the exchange stops after its capture
+      depth++;
+      gain[depth] = onSquare - gain[depth - 1];
+      
+      onSquare = SEE_VALUES[this.squares[attacker] & PIECE_MASK];
+      removed.push(attacker);
+      side = side === WHITE ? BLACK : WHITE;
+    }
+    
+    // Each side only continues the exchange if it pays off
+    for (; depth > 0; depth--) {
+      gain[depth - 1] = -Math.max(-gain[depth - 1], gain[depth]);
+    }
+    
+    return gain[0] || 0; // Avoid returning -0
+  }
+  
   /**
    * Get all legal moves for the current position
    * @returns {Array} - Array of legal moves
    */
   getLegalMoves() {
+    return this.generateLegalMoves(GEN_ALL);
+  }
+  
+  /**
+   * Get the legal captures, including capture-promotions and en passant
+   * @returns {Array} - Array of legal capturing moves
+   */
+  generateCaptures() {
+    return this.generateLegalMoves(GEN_CAPTURES);
+  }
+  
+  /**
+   * Get the legal non-capturing moves, including quiet promotions and castling
+   * @returns {Array} - Array of legal quiet moves
+   */
+  generateQuiets() {
+    return this.generateLegalMoves(GEN_QUIETS);
+  }
+  
+  /**
+   * Get the legal moves out of check
+   * @returns {Array} - Array of evasions, empty if the side to move is not in check
+   */
+  generateEvasions() {
+    if (!this.isInCheck(this.turn)) {
+      return [];
+    }
+    return this.generateLegalMoves(GEN_ALL);
+  }
+  
+  /**
+   * Generate legal moves of the given kinds
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   * @returns {Array} - Array of legal moves
+   */
+  generateLegalMoves(kinds) {
     const moves = [];
-    const us = this.turn;
-    const them = us === WHITE ? BLACK : WHITE;
+    const legality = this.getChecksAndPins(this.turn);
+    
+    // In double check only the king can move
+    if (legality.checkers.length > 1) {
+      this.generateKingMoves(this.turn === WHITE ? this.whiteKingPos : this.blackKingPos, moves, kinds);
+    } else {
+      this.generatePseudoLegalMoves(moves, kinds);
+    }
     
+    return moves.filter(move => this.isLegalWith(move, legality));
+  }
+  
+  /**
+   * Generate moves for the side to move without checking king safety
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  generatePseudoLegalMoves(moves, kinds = GEN_ALL) {
     for (let square = 0; square < 64; square++) {
       const piece = this.squares[square];
       
       // Skip empty squares and opponent pieces
-      if (piece === EMPTY || (piece & COLOR_MASK) !== us) {
-        continue;
+      if (piece !== EMPTY && (piece & COLOR_MASK) === this.turn) {
+        this.generatePieceMoves(square, moves, kinds);
       }
+    }
+  }
+  
+  /**
+   * Generate moves for the piece on a square without checking king safety
+   * @param {number} square - The piece's square
+   * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   */
+  generatePieceMoves(square, moves, kinds = GEN_ALL) {
+    switch (this.squares[square] & PIECE_MASK) {
+      case PAWN:
+        this.generatePawnMoves(square, moves, kinds);
+        break;
+      case KNIGHT:
+        this.generateKnightMoves(square, moves, kinds);
+        break;
+      case BISHOP:
+        this.generateSlidingMoves(square, BISHOP_DIRECTIONS, moves, kinds);
+        break;
+      case ROOK:
+        this.generateSlidingMoves(square, ROOK_DIRECTIONS, moves, kinds);
+        break;
+      case QUEEN:
+        this.generateSlidingMoves(square, QUEEN_DIRECTIONS, moves, kinds);
+        break;
+      case KING:
+        this.generateKingMoves(square, moves, kinds);
+        break;
+    }
+  }
+  
+  /**
+   * Check that a pseudo-legal move does not leave the mover's king in check
+   * @param {Object} move - The move
+   * @param {Object} legality - Checks and pins of the side to move (see getChecksAndPins)
+   * @returns {boolean} - True if the move is legal
+   */
+  isLegalWith(move, legality = this.getChecksAndPins(this.turn)) {
+    const { checkers, blockSquares, pins } = legality;
+    
+    // King moves and en passant change lines through the king in ways
+    // the pin and check masks don't capture, so verify them directly
+    if ((move.piece & PIECE_MASK) === KING) {
+      return this.isKingMoveSafe(move);
+    }
+    if (checkers.length > 1) {
+      return false;
+    }
+    if (move.isEnPassant) {
+      this.makeMove(move);
+      const legal = !this.isInCheck(move.piece & COLOR_MASK);
+      this.undoMove();
+      return legal;
+    }
+    
+    // A single check must be blocked or the checker captured
+    if (checkers.length > 0 && !blockSquares.includes(move.to)) {
+      return false;
+    }
+    
+    // A pinned piece may only move along the pin
+    const pinLine = pins.get(move.from);
+    return !pinLine || pinLine.includes(move.to);
+  }
+  
+  /**
+   * Find a move in the current position, e.g. a hash or killer move remembered
+   * from another position, and check that it is legal here
+   * @param {Object} move - A move with from, to and promotion
+   * @returns {Object|null} - The matching legal move of this position, or null
+   */
+  findLegalMove(move) {
+    const piece = this.squares[move.from];
+    if (piece === EMPTY || (piece & COLOR_MASK) !== this.turn) {
+      return null;
+    }
+    
+    const moves = [];
+    this.generatePieceMoves(move.from, moves, GEN_ALL);
+    const match = moves.find(m => m.to === move.to && m.promotion === move.promotion && m.isCastle === move.isCastle);
+    
+    return match && this.isLegalWith(match) ? match : null;
+  }
+  
+  /**
+   * Find the pieces giving check to a king and the pieces pinned against it
+   * @param {number} color - The king's color
+   * @returns {Object} - { checkers, blockSquares, pins }:
+   *   checkers - squares of the pieces giving check
+   *   blockSquares - squares that resolve a single check (between king and checker, and the checker itself)
+   *   pins - Map from each pinned piece's square to the squares it may still move to
+   */
+  getChecksAndPins(color) {
+    const kingSquare = color === WHITE ? this.whiteKingPos : this.blackKingPos;
+    const kingFile = kingSquare % 8;
+    const kingRank = Math.floor(kingSquare / 8);
+    const them = color === WHITE ? BLACK : WHITE;
+    
+    const checkers = [];
+    let blockSquares = [];
+    const pins = new Map();
+    
+    // Sliders: walk each ray out from the king
+    for (const [df, dr] of KING_RAYS) {
+      const slider = df !== 0 && dr !== 0 ? BISHOP : ROOK;
+      const line = [];
+      let pinned = -1;
       
-      const pieceType = piece & PIECE_MASK;
-      
-      switch (pieceType) {
-        case PAWN:
-          this.generatePawnMoves(square, moves);
-          break;
-        case KNIGHT:
-          this.generateKnightMoves(square, moves);
-          break;
-        case BISHOP:
-          this.generateSlidingMoves(square, BISHOP_DIRECTIONS, moves);
-          break;
-        case ROOK:
-          this.generateSlidingMoves(square, ROOK_DIRECTIONS, moves);
-          break;
-        case QUEEN:
-          this.generateSlidingMoves(square, QUEEN_DIRECTIONS, moves);
-          break;
-        case KING:
-          this.generateKingMoves(square, moves);
-          break;
+      for (let f = kingFile + df, r = kingRank + dr; f >= 0 && f < 8 && r >= 0 && r < 8; f += df, r += dr) {
+        const square = r * 8 + f;
+        const piece = this.squares[square];
+        line.push(square);
+        if (piece === EMPTY) continue;
+        
+        if ((piece & COLOR_MASK) === color) {
+          // A second friendly piece shields the first
+          if (pinned !== -1) break;
+          pinned = square;
+          continue;
+        }
+        
+        const pieceType = piece & PIECE_MASK;
+        if (pieceType === QUEEN || pieceType === slider) {
+          if (pinned === -1) {
+            checkers.push(square);
+            blockSquares = line;
+          } else {
+            pins.set(pinned, line);
+          }
+        }
+        break;
+      }
+    }
+    
+    // Knights and pawns can only be captured to resolve their check
+    const pawnRank = kingRank + (color === WHITE ? 1 : -1);
+    const contactCheckers = [
+      ...KNIGHT_STEPS.map(([df, dr]) => [kingFile + df, kingRank + dr, KNIGHT]),
+      [kingFile - 1, pawnRank, PAWN],
+      [kingFile + 1, pawnRank, PAWN]
+    ];
+    for (const [f, r, pieceType] of contactCheckers) {
+      if (f >= 0 && f < 8 && r >= 0 && r < 8 && this.squares[r * 8 + f] === (pieceType | them)) {
+        checkers.push(r * 8 + f);
+        blockSquares = [r * 8 + f];
       }
     }
     
-    // Filter out moves that would leave the king in check
-    return moves.filter(move => {
+    return { checkers, blockSquares, pins };
+  }
+  
+  /**
+   * Check that a king move does not leave the king attacked
+   * @param {Object} move - The king move
+   * @returns {boolean} - True if the king is safe on its target square
+   */
+  isKingMoveSafe(move) {
+    const us = move.piece & COLOR_MASK;
+    
+    // Castling already checked the king's path; play it out to catch a
+    // Chess960 rook that was shielding the king's target square
+    if (move.isCastle) {
       this.makeMove(move);
       const inCheck = this.isInCheck(us);
       this.undoMove();
       return !inCheck;
-    });
+    }
+    
+    // Lift the king so sliders attacking it see through its old square
+    this.squares[move.from] = EMPTY;
+    const attacked = this.isSquareAttacked(move.to, us === WHITE ? BLACK : WHITE);
+    this.squares[move.from] = move.piece;
+    
+    return !attacked;
   }
   
   /**
    * Generate pawn moves
    * @param {number} square - The pawn's square
    * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
    */
-  generatePawnMoves(square, moves) {
+  generatePawnMoves(square, moves, kinds = GEN_ALL) {
     const us = this.turn;
     const them = us === WHITE ? BLACK : WHITE;
     
@@ -493,7 +1095,7 @@ class Board {
     
     // Single pawn push
     let to = square + direction;
-    if (this.isSquareOnBoard(to) && this.squares[to] === EMPTY) {
+    if ((kinds & GEN_QUIETS) && this.isSquareOnBoard(to) && this.squares[to] === EMPTY) {
       if (Math.floor(square / 8) === promotionRank) {
         // Promotion
         moves.push(this.createMove(square, to, QUEEN));  // Default to queen promotion
@@ -514,6 +1116,10 @@ class Board {
     }
     
     // Pawn captures
+    if (!(kinds & GEN_CAPTURES)) {
+      return;
+    }
+    
     const captureDirections = [direction + 1, direction - 1];
     for (const offset of captureDirections) {
       to = square + offset;
@@ -549,10 +1155,9 @@ class Board {
    * Generate knight moves
    * @param {number} square - The knight's square
    * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
    */
-  generateKnightMoves(square, moves) {
-    const us = this.turn;
-    
+  generateKnightMoves(square, moves, kinds = GEN_ALL) {
     for (const offset of KNIGHT_MOVES) {
       const to = square + offset;
       if (this.isSquareOnBoard(to)) {
@@ -566,8 +1171,7 @@ class Board {
           continue;
         }
         
-        const targetPiece = this.squares[to];
-        if (targetPiece === EMPTY || (targetPiece & COLOR_MASK) !== us) {
+        if (this.isWantedTarget(to, kinds)) {
           moves.push(this.createMove(square, to));
         }
       }
@@ -579,8 +1183,9 @@ class Board {
    * @param {number} square - The piece's square
    * @param {Array} directions - The directions to check
    * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
    */
-  generateSlidingMoves(square, directions, moves) {
+  generateSlidingMoves(square, directions, moves, kinds = GEN_ALL) {
     const us = this.turn;
     
     for (const dir of directions) {
@@ -598,10 +1203,12 @@ class Board {
         const targetPiece = this.squares[to];
         if (targetPiece === EMPTY) {
           // Quiet move to empty square
-          moves.push(this.createMove(square, to));
+          if (kinds & GEN_QUIETS) {
+            moves.push(this.createMove(square, to));
+          }
         } else {
           // Capture
-          if ((targetPiece & COLOR_MASK) !== us) {
+          if ((kinds & GEN_CAPTURES) && (targetPiece & COLOR_MASK) !== us) {
             moves.push(this.createMove(square, to));
           }
           break; // Stop after capture
@@ -617,10 +1224,9 @@ class Board {
    * Generate king moves
    * @param {number} square - The king's square
    * @param {Array} moves - Array to add moves to
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
    */
-  generateKingMoves(square, moves) {
-    const us = this.turn;
-    
+  generateKingMoves(square, moves, kinds = GEN_ALL) {
     // Regular king moves
     for (const dir of QUEEN_DIRECTIONS) {
       const to = square + dir;
@@ -628,53 +1234,80 @@ class Board {
         const file1 = square % 8;
         const file2 = to % 8;
         if (Math.abs(file1 - file2) <= 1 || dir === 8 || dir === -8) { // Make sure we don't wrap around the board
-          const targetPiece = this.squares[to];
-          if (targetPiece === EMPTY || (targetPiece & COLOR_MASK) !== us) {
+          if (this.isWantedTarget(to, kinds)) {
             moves.push(this.createMove(square, to));
           }
         }
       }
     }
     
-    // Castling
-    if (!this.isInCheck(us)) {
-      if (us === WHITE) {
-        // White kingside castling
-        if (this.castlingRights & CASTLE_WHITE_KINGSIDE) {
-          if (this.squares[SQUARES.f1] === EMPTY && this.squares[SQUARES.g1] === EMPTY) {
-            if (!this.isSquareAttacked(SQUARES.f1, BLACK) && !this.isSquareAttacked(SQUARES.g1, BLACK)) {
-              moves.push(this.createMove(SQUARES.e1, SQUARES.g1, EMPTY, false, true));
-            }
-          }
-        }
-        
-        // White queenside castling
-        if (this.castlingRights & CASTLE_WHITE_QUEENSIDE) {
-          if (this.squares[SQUARES.d1] === EMPTY && this.squares[SQUARES.c1] === EMPTY && this.squares[SQUARES.b1] === EMPTY) {
-            if (!this.isSquareAttacked(SQUARES.d1, BLACK) && !this.isSquareAttacked(SQUARES.c1, BLACK)) {
-              moves.push(this.createMove(SQUARES.e1, SQUARES.c1, EMPTY, false, true));
-            }
-          }
-        }
-      } else {
-        // Black kingside castling
-        if (this.castlingRights & CASTLE_BLACK_KINGSIDE) {
-          if (this.squares[SQUARES.f8] === EMPTY && this.squares[SQUARES.g8] === EMPTY) {
-            if (!this.isSquareAttacked(SQUARES.f8, WHITE) && !this.isSquareAttacked(SQUARES.g8, WHITE)) {
-              moves.push(this.createMove(SQUARES.e8, SQUARES.g8, EMPTY, false, true));
-            }
-          }
+    if (kinds & GEN_QUIETS) {
+      this.generateCastlingMoves(square, moves);
+    }
+  }
+  
+  /**
+   * Check whether a move to a square is of a requested kind
+   * @param {number} square - The target square
+   * @param {number} kinds - GEN_CAPTURES, GEN_QUIETS or both (GEN_ALL)
+   * @returns {boolean} - True for an empty square if quiets are wanted, or an enemy piece if captures are
+   */
+  isWantedTarget(square, kinds) {
+    const piece = this.squares[square];
+    if (piece === EMPTY) {
+      return (kinds & GEN_QUIETS) !== 0;
+    }
+    return (kinds & GEN_CAPTURES) !== 0 && (piece & COLOR_MASK) !== this.turn;
+  }
+  
+  /**
+   * Generate castling moves
+   * @param {number} square - The king's square
+   * @param {Array} moves - Array to add moves to
+   */
+  generateCastlingMoves(square, moves) {
+    const us = this.turn;
+    const rights = us === WHITE ?
+      [CASTLE_WHITE_KINGSIDE, CASTLE_WHITE_QUEENSIDE] :
+      [CASTLE_BLACK_KINGSIDE, CASTLE_BLACK_QUEENSIDE];
+    const them = us === WHITE ? BLACK : WHITE;
+    const backRank = us === WHITE ? 0 : 56;
+    
+    for (const right of rights) {
+      if (!(this.castlingRights & right)) continue;
+      
+      const kingside = right === CASTLE_WHITE_KINGSIDE || right === CASTLE_BLACK_KINGSIDE;
+      const rookFrom = this.castlingRooks[right];
+      const kingTo = backRank + (kingside ? 6 : 2);
+      const rookTo = backRank + (kingside ? 5 : 3);
+      
+      if (this.squares[rookFrom] !== (ROOK | us)) continue;
+      
+      // Every square the king and rook cross or land on must be empty, apart from the two of them
+      const low = Math.min(square, kingTo, rookFrom, rookTo);
+      const high = Math.max(square, kingTo, rookFrom, rookTo);
+      let blocked = false;
+      for (let s = low; s <= high; s++) {
+        if (s !== square && s !== rookFrom && this.squares[s] !== EMPTY) {
+          blocked = true;
+          break;
         }
-        
-        // Black queenside castling
-        if (this.castlingRights & CASTLE_BLACK_QUEENSIDE) {
-          if (this.squares[SQUARES.d8] === EMPTY && this.squares[SQUARES.c8] === EMPTY && this.squares[SQUARES.b8] === EMPTY) {
-            if (!this.isSquareAttacked(SQUARES.d8, WHITE) && !this.isSquareAttacked(SQUARES.c8, WHITE)) {
-              moves.push(this.createMove(SQUARES.e8, SQUARES.c8, EMPTY, false, true));
-            }
-          }
+      }
+      if (blocked) continue;
+      
+      // The king may not castle out of, through or into check
+      const step = kingTo > square ? 1 : -1;
+      let attacked = false;
+      for (let s = square; ; s += step) {
+        if (this.isSquareAttacked(s, them)) {
+          attacked = true;
+          break;
         }
+        if (s === kingTo) break;
       }
+      if (attacked) continue;
+      
+      moves.push(this.createMove(square, kingTo, EMPTY, false, true));
     }
   }
   
@@ -692,7 +1325,7 @@ class Board {
       from,
       to,
       piece: this.squares[from],
-      captured: isEnPassant ? (PAWN | (this.turn === WHITE ? BLACK : WHITE)) : this.squares[to],
+      captured: isEnPassant ? (PAWN | (this.turn === WHITE ? BLACK : WHITE)) : (isCastle ? EMPTY : this.squares[to]),
       promotion,
       isEnPassant,
       isCastle,
@@ -712,8 +1345,14 @@ class Board {
     const us = this.turn;
     const them = us === WHITE ? BLACK : WHITE;
     
-    // Save the move to history for undoing
-    this.history.push({ ...move });
+    // Save the move to history for undoing, along with the keys to restore
+    this.history.push({
+      ...move,
+      hashLo: this.hashLo,
+      hashHi: this.hashHi,
+      pawnHashLo: this.pawnHashLo,
+      pawnHashHi: this.pawnHashHi
+    });
     
     // Update half-move clock
     if (pieceType === PAWN || captured !== EMPTY) {
@@ -728,17 +1367,41 @@ class Board {
     }
     
     // Clear en passant square
-    const oldEnPassantSquare = this.enPassantSquare;
+    this.hashEnPassant();
     this.enPassantSquare = -1;
     
-    // Move the piece
-    this.squares[from] = EMPTY;
-    
-    // Handle promotion
-    if (promotion !== EMPTY) {
-      this.squares[to] = promotion | us;
-    } else {
+    // Handle castling: lift king and rook before placing them, since in
+    // Chess960 their start and target squares may overlap
+    if (isCastle) {
+      const { rookFrom, rookTo } = this.getCastlingRookSquares(move);
+      const rook = this.squares[rookFrom];
+      
+      this.squares[from] = EMPTY;
+      this.squares[rookFrom] = EMPTY;
       this.squares[to] = piece;
+      this.squares[rookTo] = rook;
+      
+      this.hashPiece(piece, from);
+      this.hashPiece(rook, rookFrom);
+      this.hashPiece(piece, to);
+      this.hashPiece(rook, rookTo);
+    } else {
+      // Move the piece
+      this.squares[from] = EMPTY;
+      this.hashPiece(piece, from);
+      
+      // Remove a captured piece from the target square
+      if (captured !== EMPTY && !isEnPassant) {
+        this.hashPiece(captured, to);
+      }
+      
+      // Handle promotion
+      if (promotion !== EMPTY) {
+        this.squares[to] = promotion | us;
+      } else {
+        this.squares[to] = piece;
+      }
+      this.hashPiece(this.squares[to], to);
     }
     
     // Handle en passant capture
@@ -746,37 +1409,11 @@ class Board {
       // Remove the captured pawn
       const capturedPawnSquare = to - (us === WHITE ? 8 : -8);
       this.squares[capturedPawnSquare] = EMPTY;
-    }
-    
-    // Handle castling
-    if (isCastle) {
-      // Move the rook
-      if (to === SQUARES.g1) {
-        // White kingside
-        this.squares[SQUARES.f1] = this.squares[SQUARES.h1];
-        this.squares[SQUARES.h1] = EMPTY;
-      } else if (to === SQUARES.c1) {
-        // White queenside
-        this.squares[SQUARES.d1] = this.squares[SQUARES.a1];
-        this.squares[SQUARES.a1] = EMPTY;
-      } else if (to === SQUARES.g8) {
-        // Black kingside
-        this.squares[SQUARES.f8] = this.squares[SQUARES.h8];
-        this.squares[SQUARES.h8] = EMPTY;
-      } else if (to === SQUARES.c8) {
-        // Black queenside
-        this.squares[SQUARES.d8] = this.squares[SQUARES.a8];
-        this.squares[SQUARES.a8] = EMPTY;
-      }
-    }
-    
-    // Set en passant square if pawn makes a double push
-    if (pieceType === PAWN && Math.abs(to - from) === 16) {
-      this.enPassantSquare = from + (us === WHITE ? 8 : -8);
+      this.hashPiece(captured, capturedPawnSquare);
     }
     
     // Update castling rights
-    this.updateCastlingRights(from, to);
+    this.updateCastlingRights(from, to, pieceType);
     
     // Update king position if king moved
     if (pieceType === KING) {
@@ -789,30 +1426,67 @@ class Board {
     
     // Switch turn
     this.turn = them;
+    this.hashSide();
+    
+    // Set en passant square if pawn makes a double push
+    if (pieceType === PAWN && Math.abs(to - from) === 16) {
+      this.enPassantSquare = from + (us === WHITE ? 8 : -8);
+      this.hashEnPassant();
+    }
+    
+    if (this.verifyHash) {
+      this.checkHash();
+    }
+  }
+  
+  /**
+   * Get the rook's start and target squares for a castling move
+   * @param {Object} move - The castling move (king from/to)
+   * @returns {Object} - { rookFrom, rookTo }
+   */
+  getCastlingRookSquares(move) {
+    const white = (move.piece & COLOR_MASK) === WHITE;
+    const kingside = move.to % 8 === 6;
+    const right = white ?
+      (kingside ? CASTLE_WHITE_KINGSIDE : CASTLE_WHITE_QUEENSIDE) :
+      (kingside ? CASTLE_BLACK_KINGSIDE : CASTLE_BLACK_QUEENSIDE);
+    
+    return {
+      rookFrom: this.castlingRooks[right],
+      rookTo: move.to + (kingside ? -1 : 1)
+    };
   }
   
   /**
    * Update castling rights
    * @param {number} from - The source square
    * @param {number} to - The target square
+   * @param {number} pieceType - The type of the moved piece
    */
-  updateCastlingRights(from, to) {
+  updateCastlingRights(from, to, pieceType) {
+    let rights = this.castlingRights;
+    if (rights === 0) {
+      return;
+    }
+    
     // If king moves, remove both castling rights for that color
-    if (from === SQUARES.e1) {
-      this.castlingRights &= ~(CASTLE_WHITE_KINGSIDE | CASTLE_WHITE_QUEENSIDE);
-    } else if (from === SQUARES.e8) {
-      this.castlingRights &= ~(CASTLE_BLACK_KINGSIDE | CASTLE_BLACK_QUEENSIDE);
+    if (pieceType === KING) {
+      rights &= this.turn === WHITE ?
+        ~(CASTLE_WHITE_KINGSIDE | CASTLE_WHITE_QUEENSIDE) :
+        ~(CASTLE_BLACK_KINGSIDE | CASTLE_BLACK_QUEENSIDE);
+    }
+    
+    // If a castling rook moves or is captured, remove its right
+    // (a single rook move can do both, e.g. Rxa8 from a1)
+    for (const right of [CASTLE_WHITE_KINGSIDE, CASTLE_WHITE_QUEENSIDE, CASTLE_BLACK_KINGSIDE, CASTLE_BLACK_QUEENSIDE]) {
+      const rookSquare = this.castlingRooks[right];
+      if (from === rookSquare || to === rookSquare) {
+        rights &= ~right;
+      }
     }
     
-    // If rook moves or is captured, remove corresponding castling right
-    if (from === SQUARES.a1 || to === SQUARES.a1) {
-      this.castlingRights &= ~CASTLE_WHITE_QUEENSIDE;
-    } else if (from === SQUARES.h1 || to === SQUARES.h1) {
-      this.castlingRights &= ~CASTLE_WHITE_KINGSIDE;
-    } else if (from === SQUARES.a8 || to === SQUARES.a8) {
-      this.castlingRights &= ~CASTLE_BLACK_QUEENSIDE;
-    } else if (from === SQUARES.h8 || to === SQUARES.h8) {
-      this.castlingRights &= ~CASTLE_BLACK_KINGSIDE;
+    if (rights !== this.castlingRights) {
+      this.setCastlingRights(rights);
     }
   }
   
@@ -827,6 +1501,12 @@ class Board {
     const move = this.history.pop();
     const { from, to, piece, captured, promotion, isEnPassant, isCastle, castlingRights, enPassantSquare, halfMoveClock } = move;
     
+    // Restore Zobrist keys
+    this.hashLo = move.hashLo;
+    this.hashHi = move.hashHi;
+    this.pawnHashLo = move.pawnHashLo;
+    this.pawnHashHi = move.pawnHashHi;
+    
     // Switch turn back
     this.turn = this.turn === WHITE ? BLACK : WHITE;
     
@@ -844,40 +1524,29 @@ class Board {
       this.fullMoveNumber--;
     }
     
-    // Move piece back to original square
-    this.squares[from] = piece;
-    
-    // Handle promotion (restore original pawn)
-    if (promotion !== EMPTY) {
-      this.squares[to] = captured;
-    } else if (isEnPassant) {
-      // For en passant, clear the target square and restore the captured pawn
+    if (isCastle) {
+      // Lift king and rook before putting them back (squares may overlap in Chess960)
+      const { rookFrom, rookTo } = this.getCastlingRookSquares(move);
+      const rook = this.squares[rookTo];
       this.squares[to] = EMPTY;
-      const capturedPawnSquare = to - (this.turn === WHITE ? 8 : -8);
-      this.squares[capturedPawnSquare] = PAWN | (this.turn === WHITE ? BLACK : WHITE);
+      this.squares[rookTo] = EMPTY;
+      this.squares[from] = piece;
+      this.squares[rookFrom] = rook;
     } else {
-      // Restore captured piece or clear target square
-      this.squares[to] = captured;
-    }
-    
-    // Handle castling (move rook back)
-    if (isCastle) {
-      if (to === SQUARES.g1) {
-        // White kingside
-        this.squares[SQUARES.h1] = this.squares[SQUARES.f1];
-        this.squares[SQUARES.f1] = EMPTY;
-      } else if (to === SQUARES.c1) {
-        // White queenside
-        this.squares[SQUARES.a1] = this.squares[SQUARES.d1];
-        this.squares[SQUARES.d1] = EMPTY;
-      } else if (to === SQUARES.g8) {
-        // Black kingside
-        this.squares[SQUARES.h8] = this.squares[SQUARES.f8];
-        this.squares[SQUARES.f8] = EMPTY;
-      } else if (to === SQUARES.c8) {
-        // Black queenside
-        this.squares[SQUARES.a8] = this.squares[SQUARES.d8];
-        this.squares[SQUARES.d8] = EMPTY;
+      // Move piece back to original square
+      this.squares[from] = piece;
+      
+      // Handle promotion (restore original pawn)
+      if (promotion !== EMPTY) {
+        this.squares[to] = captured;
+      } else if (isEnPassant) {
+        // For en passant, clear the target square and restore the captured pawn
+        this.squares[to] = EMPTY;
+        const capturedPawnSquare = to - (this.turn === WHITE ? 8 : -8);
+        this.squares[capturedPawnSquare] = PAWN | (this.turn === WHITE ? BLACK : WHITE);
+      } else {
+        // Restore captured piece or clear target square
+        this.squares[to] = captured;
       }
     }
     
@@ -890,16 +1559,181 @@ class Board {
       }
     }
     
+    if (this.verifyHash) {
+      this.checkHash();
+    }
+    
     return move;
   }
   
+  /**
+   * Make a null move (pass the turn), used by null move pruning
+   */
+  makeNullMove() {
+    this.nullMoveHistory.push({
+      enPassantSquare: this.enPassantSquare,
+      hashLo: this.hashLo,
+      hashHi: this.hashHi
+    });
+    
+    // Clear en passant square
+    this.hashEnPassant();
+    this.enPassantSquare = -1;
+    
+    // Switch sides
+    this.turn = this.turn === WHITE ? BLACK : WHITE;
+    this.hashSide();
+    
+    if (this.verifyHash) {
+      this.checkHash();
+    }
+  }
+  
+  /**
+   * Undo the last null move
+   */
+  undoNullMove() {
+    const state = this.nullMoveHistory.pop();
+    
+    // Switch back
+    this.turn = this.turn === WHITE ? BLACK : WHITE;
+    this.enPassantSquare = state.enPassantSquare;
+    this.hashLo = state.hashLo;
+    this.hashHi = state.hashHi;
+    
+    if (this.verifyHash) {
+      this.checkHash();
+    }
+  }
+  
+  /**
+   * Count how often the current position has occurred, using the position
+   * keys saved in the move history. Only positions since the last capture or
+   * pawn move can repeat, and only every second ply has the same side to move.
+   * @returns {number} - Number of occurrences, including the current one
+   */
+  countRepetitions() {
+    const n = this.history.length;
+    const limit = Math.min(this.halfMoveClock, n);
+    let count = 1;
+    
+    for (let i = 2; i <= limit; i += 2) {
+      const entry = this.history[n - i];
+      if (entry.hashLo === this.hashLo && entry.hashHi === this.hashHi) {
+        count++;
+      }
+    }
+    
+    return count;
+  }
+  
+  /**
+   * Classify the material on the board for draws by insufficient material
+   * @returns {string|null} - 'automatic' when no sequence of legal moves can
+   *   mate (K v K, K+minor v K, bishops all on one square color), 'claimable'
+   *   for K+N+N v K where mate is possible but cannot be forced, else null
+   */
+  getInsufficientMaterial() {
+    const knights = { [WHITE]: 0, [BLACK]: 0 };
+    let bishops = 0;
+    let bishopSquareColors = 0; // bit 0: light squares, bit 1: dark squares
+    
+    for (let square = 0; square < 64; square++) {
+      const piece = this.squares[square];
+      if (piece === EMPTY) continue;
+      
+      switch (piece & PIECE_MASK) {
+        case PAWN:
+        case ROOK:
+        case QUEEN:
+          return null;
+        case KNIGHT:
+          knights[piece & COLOR_MASK]++;
+          break;
+        case BISHOP:
+          bishops++;
+          bishopSquareColors |= (Math.floor(square / 8) + square % 8) % 2 === 0 ? 2 : 1;
+          break;
+      }
+    }
+    
+    const totalKnights = knights[WHITE] + knights[BLACK];
+    
+    // Bare kings, a single minor piece, or bishops only, all on the same square color
+    if (totalKnights === 0 && (bishops <= 1 || bishopSquareColors !== 3)) {
+      return 'automatic';
+    }
+    if (totalKnights === 1 && bishops === 0) {
+      return 'automatic';
+    }
+    
+    // Two knights against a bare king
+    if (bishops === 0 && (knights[WHITE] === 2 && knights[BLACK] === 0 || knights[BLACK] === 2 && knights[WHITE] === 0)) {
+      return 'claimable';
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Determine the state of the game under every termination rule
+   * @returns {Object} - { over, result, reason, claimable }:
+   *   over - true if the game has ended automatically
+   *   result - '1-0', '0-1', '1/2-1/2', or '*' while the game goes on
+   *   reason - 'checkmate', 'stalemate', 'fivefold-repetition', 'seventy-five-move-rule'
+   *            or 'insufficient-material' when over, else null
+   *   claimable - reason a draw may be claimed ('threefold-repetition', 'fifty-move-rule',
+   *            'insufficient-material'), or null
+   */
+  getGameStatus() {
+    const ended = (result, reason) => ({ over: true, result, reason, claimable: null });
+    
+    if (this.getLegalMoves().length === 0) {
+      if (this.isInCheck(this.turn)) {
+        return ended(this.turn === WHITE ? '0-1' : '1-0', 'checkmate');
+      }
+      return ended('1/2-1/2', 'stalemate');
+    }
+    
+    const repetitions = this.countRepetitions();
+    if (repetitions >= 5) {
+      return ended('1/2-1/2', 'fivefold-repetition');
+    }
+    if (this.halfMoveClock >= MAX_HALFMOVE_CLOCK) {
+      return ended('1/2-1/2', 'seventy-five-move-rule');
+    }
+    
+    const material = this.getInsufficientMaterial();
+    if (material === 'automatic') {
+      return ended('1/2-1/2', 'insufficient-material');
+    }
+    
+    let claimable = null;
+    if (repetitions >= 3) {
+      claimable = 'threefold-repetition';
+    } else if (this.halfMoveClock >= FIFTY_MOVE_CLOCK) {
+      claimable = 'fifty-move-rule';
+    } else if (material === 'claimable') {
+      claimable = 'insufficient-material';
+    }
+    
+    return { over: false, result: '*', reason: null, claimable };
+  }
+  
   /**
    * Format a move in UCI notation
    * @param {Object} move - The move object
    * @returns {string} - The UCI notation string
    */
   moveToUci(move) {
-    const { from, to, promotion } = move;
+    const { from, promotion } = move;
+    let to = move.to;
+    
+    // Chess960 castling is written as the king capturing its own rook
+    if (move.isCastle && (this.chess960 || from === to)) {
+      to = this.getCastlingRookSquares(move).rookFrom;
+    }
+    
     const fromFile = from % 8;
     const fromRank = Math.floor(from / 8);
     const toFile = to % 8;
@@ -942,7 +1776,7 @@ class Board {
     }
     
     const from = fromRank * 8 + fromFile;
-    const to = toRank * 8 + toFile;
+    let to = toRank * 8 + toFile;
     
     // Check for promotion
     let promotion = EMPTY;
@@ -955,10 +1789,19 @@ class Board {
       }
     }
     
-    // Check if the move is a castling move
+    // Check if the move is a castling move: the king capturing its own rook
+    // (Chess960 notation) or, in standard chess, moving two files
     const piece = this.squares[from];
     const pieceType = piece & PIECE_MASK;
-    const isCastle = pieceType === KING && Math.abs(fromFile - toFile) > 1;
+    let isCastle = false;
+    if (pieceType === KING) {
+      if (this.squares[to] === (ROOK | (piece & COLOR_MASK))) {
+        isCastle = true;
+        to = fromRank * 8 + (toFile > fromFile ? 6 : 2);
+      } else if (!this.chess960 && Math.abs(fromFile - toFile) > 1) {
+        isCastle = true;
+      }
+    }
     
     // Check if the move is an en passant capture
     const isEnPassant = pieceType === PAWN && toFile !== fromFile && this.squares[to] === EMPTY;
@@ -983,7 +1826,8 @@ class Board {
     const isLegal = legalMoves.some(m => 
       m.from === move.from && 
       m.to === move.to && 
-      m.promotion === move.promotion
+      m.promotion === move.promotion &&
+      m.isCastle === move.isCastle
     );
     
     if (!isLegal) {
@@ -993,6 +1837,284 @@ class Board {
     this.makeMove(move);
     return true;
   }
+  
+  /**
+   * Format a move in Standard Algebraic Notation (SAN)
+   * @param {Object} move - The move object (must be legal in the current position)
+   * @returns {string} - The SAN string, e.g. "Nbd7", "exd6", "e8=Q+", "O-O"
+   */
+  moveToSan(move) {
+    const { from, to, piece, captured, promotion, isCastle } = move;
+    const pieceType = piece & PIECE_MASK;
+    let san;
+    
+    if (isCastle) {
+      san = to % 8 === 6 ? 'O-O' : 'O-O-O';
+    } else if (pieceType === PAWN) {
+      san = captured !== EMPTY ? FILES[from % 8] + 'x' : '';
+      san += squareName(to);
+      if (promotion !== EMPTY) {
+        san += '=' + SAN_PIECE_CHARS[promotion];
+      }
+    } else {
+      san = SAN_PIECE_CHARS[pieceType];
+      
+      // Disambiguate against other pieces of the same type reaching the same square
+      const rivals = this.getLegalMoves().filter(m =>
+        m.to === to && m.from !== from && m.piece === piece
+      );
+      if (rivals.length > 0) {
+        const sameFile = rivals.some(m => m.from % 8 === from % 8);
+        const sameRank = rivals.some(m => Math.floor(m.from / 8) === Math.floor(from / 8));
+        if (!sameFile) {
+          san += FILES[from % 8];
+        } else if (!sameRank) {
+          san += RANKS[Math.floor(from / 8)];
+        } else {
+          san += squareName(from);
+        }
+      }
+      
+      if (captured !== EMPTY) {
+        san += 'x';
+      }
+      san += squareName(to);
+    }
+    
+    // Check and checkmate suffixes
+    this.makeMove(move);
+    if (this.isInCheck(this.turn)) {
+      san += this.getLegalMoves().length === 0 ? '#' : '+';
+    }
+    this.undoMove();
+    
+    return san;
+  }
+  
+  /**
+   * Parse a move in Standard Algebraic Notation (SAN).
+   * Parsing is tolerant: piece letters may be lowercase, castling may use
+   * zeros, promotions may omit "=" (defaulting to a queen when omitted
+   * entirely), check/annotation suffixes are ignored and plain coordinate
+   * moves such as "g1f3" are accepted.
+   * @param {string} san - The SAN string
+   * @returns {Object|null} - The legal move object, or null if invalid or ambiguous
+   */
+  sanToMove(san) {
+    const text = san.trim().replace(/(e\.p\.)?[+#!?]*$/, '');
+    const legalMoves = this.getLegalMoves();
+    
+    // Coordinate notation
+    if (/^[a-h][1-8][a-h][1-8][nbrq]?$/.test(text)) {
+      return legalMoves.find(m => this.moveToUci(m) === text) || null;
+    }
+    
+    // Castling
+    const castle = /^([O0o])-?\1(-?\1)?$/.exec(text);
+    if (castle) {
+      const queenside = castle[2] !== undefined;
+      return legalMoves.find(m => m.isCastle && (m.to % 8 === 2) === queenside) || null;
+    }
+    
+    // A lowercase "b" may be a pawn on the b-file or a sloppy bishop move, so
+    // try the pawn reading first
+    const first = text.charAt(0);
+    const readings = [];
+    if ('NBRQK'.includes(first)) {
+      readings.push({ pieceType: SAN_PIECE_TYPES[first], rest: text.slice(1) });
+    } else if ('nrqk'.includes(first)) {
+      readings.push({ pieceType: SAN_PIECE_TYPES[first.toUpperCase()], rest: text.slice(1) });
+    } else {
+      readings.push({ pieceType: PAWN, rest: text });
+      if (first === 'b') {
+        readings.push({ pieceType: BISHOP, rest: text.slice(1) });
+      }
+    }
+    
+    for (const { pieceType, rest } of readings) {
+      const match = /^([a-h])?([1-8])?[x:-]?([a-h][1-8])(?:=?\(?([nbrqNBRQ])\)?)?$/.exec(rest);
+      if (!match) continue;
+      
+      const [, fromFile, fromRank, target, promotionChar] = match;
+      const to = SQUARES[target];
+      const promotion = promotionChar ? SAN_PIECE_TYPES[promotionChar.toUpperCase()] : EMPTY;
+      
+      const candidates = legalMoves.filter(m =>
+        (m.piece & PIECE_MASK) === pieceType &&
+        m.to === to &&
+        !m.isCastle &&
+        (!fromFile || FILES[m.from % 8] === fromFile) &&
+        (!fromRank || RANKS[Math.floor(m.from / 8)] === fromRank) &&
+        (promotionChar ? m.promotion === promotion : (m.promotion === EMPTY || m.promotion === QUEEN))
+      );
+      
+      if (candidates.length === 1) {
+        return candidates[0];
+      }
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Make a move from SAN notation
+   * @param {string} san - The SAN string
+   * @returns {boolean} - True if the move was made successfully
+   */
+  makeSanMove(san) {
+    const move = this.sanToMove(san);
+    if (!move) {
+      return false;
+    }
+    
+    this.makeMove(move);
+    return true;
+  }
+}
+
+/**
+ * Check a FEN string for everything that would make it an illegal or
+ * unreachable position
+ * @param {string} fen - The FEN string
+ * @returns {Object} - { valid, errors } with a description of each problem found
+ */
+function validateFen(fen) {
+  const errors = [];
+  const parts = typeof fen === 'string' ? fen.trim().split(/\s+/) : [];
+  
+  if (parts.length < 4 || parts.length > 6) {
+    errors.push(`expected 4 to 6 fields (placement, side to move, castling, en passant, clocks), found ${parts[0] ? parts.length : 0}`);
+    return { valid: false, errors };
+  }
+  
+  const [placement, side, castling, enPassant, halfMove, fullMove] = parts;
+  
+  // Piece placement: 8 ranks of 8 squares, listed from rank 8 down to rank 1
+  const ranks = placement.split('/');
+  const kings = { [WHITE]: 0, [BLACK]: 0 };
+  if (ranks.length !== 8) {
+    errors.push(`piece placement must have 8 ranks separated by '/', found ${ranks.length}`);
+  } else {
+    ranks.forEach((rank, index) => {
+      const rankNumber = 8 - index;
+      let files = 0;
+      
+      for (const char of rank) {
+        if (/[1-8]/.test(char)) {
+          files += parseInt(char, 10);
+        } else if (/[pnbrqk]/i.test(char)) {
+          const color = char === char.toUpperCase() ? WHITE : BLACK;
+          if (char.toLowerCase() === 'k') {
+            kings[color]++;
+          }
+          if (char.toLowerCase() === 'p' && (rankNumber === 1 || rankNumber === 8) && files < 8) {
+            errors.push(`pawn on back rank ${squareName((rankNumber - 1) * 8 + files)}`);
+          }
+          files++;
+        } else {
+          errors.push(`unknown piece letter '${char}' in rank ${rankNumber}`);
+          files++;
+        }
+      }
+      
+      if (files !== 8) {
+        errors.push(`rank ${rankNumber} describes ${files} squares instead of 8`);
+      }
+    });
+    
+    for (const [color, name] of [[WHITE, 'white'], [BLACK, 'black']]) {
+      if (kings[color] === 0) {
+        errors.push(`${name} has no king`);
+      } else if (kings[color] > 1) {
+        errors.push(`${name} has ${kings[color]} kings`);
+      }
+    }
+  }
+  
+  if (side !== 'w' && side !== 'b') {
+    errors.push(`side to move must be 'w' or 'b', found '${side}'`);
+  }
+  
+  if (castling !== '-' && (!/^[KQA-Hkqa-h]{1,4}$/.test(castling) || new Set(castling).size !== castling.length)) {
+    errors.push(`castling field must be '-' or up to 4 distinct letters from KQkq / rook files, found '${castling}'`);
+  }
+  
+  if (enPassant !== '-' && !/^[a-h][36]$/.test(enPassant)) {
+    errors.push(`en passant field must be '-' or a square on rank 3 or 6, found '${enPassant}'`);
+  }
+  
+  if (halfMove !== undefined && !/^\d+$/.test(halfMove)) {
+    errors.push(`halfmove clock must be a non-negative integer, found '${halfMove}'`);
+  }
+  if (fullMove !== undefined && (!/^\d+$/.test(fullMove) || parseInt(fullMove, 10) < 1)) {
+    errors.push(`fullmove number must be a positive integer, found '${fullMove}'`);
+  }
+  
+  // Clock values a game can reach
+  if (halfMove !== undefined && /^\d+$/.test(halfMove)) {
+    const halfMoves = parseInt(halfMove, 10);
+    
+    if (halfMoves > MAX_HALFMOVE_CLOCK) {
+      errors.push(`halfmove clock ${halfMoves} is above ${MAX_HALFMOVE_CLOCK}, where the seventy-five-move rule ends the game`);
+    }
+    
+    // The double pawn push that set the en passant square also reset the clock
+    if (enPassant !== '-' && halfMoves !== 0) {
+      errors.push(`halfmove clock must be 0 after the double pawn push that set the en passant square ${enPassant}, found ${halfMoves}`);
+    }
+  }
+  
+  // The remaining checks need a well-formed position
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+  
+  const board = new Board();
+  board.parseFen(`${placement} ${side} - -`);
+  const us = board.turn;
+  const them = us === WHITE ? BLACK : WHITE;
+  
+  if (board.isInCheck(them)) {
+    errors.push(`the side not to move (${them === WHITE ? 'white' : 'black'}) is in check`);
+  }
+  
+  // Every castling right needs its king on the back rank and a rook to castle with
+  if (castling !== '-') {
+    for (const char of castling) {
+      const before = board.castlingRights;
+      board.parseCastlingChar(char);
+      if (board.castlingRights === before) {
+        const color = char === char.toUpperCase() ? 'white' : 'black';
+        errors.push(`castling right '${char}' needs the ${color} king on its back rank and a matching ${color} rook, or repeats another right`);
+      }
+    }
+  }
+  
+  // The en passant square must lie behind a pawn that just made a double push
+  if (enPassant !== '-') {
+    const square = SQUARES[enPassant];
+    const forward = us === WHITE ? 8 : -8;
+    const expectedRank = us === WHITE ? '6' : '3';
+    
+    if (enPassant[1] !== expectedRank) {
+      errors.push(`en passant square ${enPassant} must be on rank ${expectedRank} when ${us === WHITE ? 'white' : 'black'} is to move`);
+    } else if (board.squares[square - forward] !== (PAWN | them)) {
+      errors.push(`en passant square ${enPassant} has no ${them === WHITE ? 'white' : 'black'} pawn in front of it`);
+    } else if (board.squares[square] !== EMPTY || board.squares[square + forward] !== EMPTY) {
+      errors.push(`en passant square ${enPassant} and the square behind it must be empty`);
+    }
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Get the algebraic name of a square
+ * @param {number} square - The square index
+ * @returns {string} - The square name, e.g. "e4"
+ */
+function squareName(square) {
+  return FILES[square % 8] + RANKS[Math.floor(square / 8)];
 }
 
 module.exports = {
@@ -1008,7 +2130,14 @@ module.exports = {
   BLACK,
   PIECE_MASK,
   COLOR_MASK,
+  GEN_CAPTURES,
+  GEN_QUIETS,
+  GEN_ALL,
+  FIFTY_MOVE_CLOCK,
+  MAX_HALFMOVE_CLOCK,
   SQUARES,
   FILES,
-  RANKS
+  RANKS,
+  squareName,
+  validateFen
 };
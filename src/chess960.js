@@ -0,0 +1,76 @@
+/**
+ * Chess960 (Fischer Random) start positions
+ */
+
+// Knight placements on the five squares left after bishops and queen, by index 0-9
+const KNIGHT_PLACEMENTS = [
+  [0, 1], [0, 2], [0, 3], [0, 4], [1, 2],
+  [1, 3], [1, 4], [2, 3], [2, 4], [3, 4]
+];
+
+// Index of the standard chess start position
+const STANDARD_INDEX = 518;
+
+/**
+ * Get the back rank of a Chess960 start position using Scharnagl numbering
+ * @param {number} index - Position number (0-959)
+ * @returns {string} - The white back rank from a to h, e.g. "RNBQKBNR"
+ */
+function chess960BackRank(index) {
+  if (!Number.isInteger(index) || index < 0 || index > 959) {
+    throw new Error(`Invalid Chess960 position number: ${index} (must be 0-959)`);
+  }
+
+  const rank = new Array(8).fill(null);
+  let n = index;
+
+  // Light-squared bishop on b, d, f or h; dark-squared bishop on a, c, e or g
+  rank[(n % 4) * 2 + 1] = 'B';
+  n = Math.floor(n / 4);
+  rank[(n % 4) * 2] = 'B';
+  n = Math.floor(n / 4);
+
+  // Queen on one of the six remaining squares
+  const emptyFiles = () => rank.map((piece, file) => piece ? -1 : file).filter(file => file !== -1);
+  rank[emptyFiles()[n % 6]] = 'Q';
+  n = Math.floor(n / 6);
+
+  // Knights on two of the five remaining squares
+  const [first, second] = KNIGHT_PLACEMENTS[n];
+  const remaining = emptyFiles();
+  rank[remaining[first]] = 'N';
+  rank[remaining[second]] = 'N';
+
+  // Rook, king, rook on the last three squares, in that order
+  const [queensideRook, king, kingsideRook] = emptyFiles();
+  rank[queensideRook] = 'R';
+  rank[king] = 'K';
+  rank[kingsideRook] = 'R';
+
+  return rank.join('');
+}
+
+/**
+ * Get the FEN of a Chess960 start position
+ * @param {number} index - Position number (0-959)
+ * @returns {string} - The FEN string (castling rights as KQkq, which X-FEN resolves to the outer rooks)
+ */
+function chess960Fen(index) {
+  const backRank = chess960BackRank(index);
+  return `${backRank.toLowerCase()}/pppppppp/8/8/8/8/PPPPPPPP/${backRank} w KQkq - 0 1`;
+}
+
+/**
+ * Pick a random Chess960 position number
+ * @returns {number} - Position number (0-959)
+ */
+function randomChess960Index() {
+  return Math.floor(Math.random() * 960);
+}
+
+module.exports = {
+  STANDARD_INDEX,
+  chess960BackRank,
+  chess960Fen,
+  randomChess960Index
+};
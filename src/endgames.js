@@ -0,0 +1,110 @@
+/**
+ * Endgame regression set - plays out simple endgames to check that the
+ * engine brings its king towards the centre once the pieces come off
+ */
+
+const ChessEngine2 = require('./engine2');
+const { KING, WHITE, squareName } = require('./board');
+
+// Endgames where the side to move should activate its king
+const ENDGAME_SUITE = [
+  {
+    name: 'Symmetric pawns, kings on the e-file',
+    fen: '4k3/pp4pp/8/8/8/8/PP4PP/4K3 w - - 0 1'
+  },
+  {
+    name: 'Kingside pawns, castled kings',
+    fen: '6k1/5ppp/8/8/8/8/5PPP/6K1 w - - 0 1'
+  },
+  {
+    name: 'Kingside pawns, luft on h3 and h6',
+    fen: '6k1/5pp1/7p/8/8/7P/5PP1/6K1 w - - 0 1'
+  },
+  {
+    name: 'Fianchetto pawn shells',
+    fen: '8/5pk1/6p1/8/8/6P1/5PK1/8 w - - 0 1'
+  },
+  {
+    name: 'Queenside pawns',
+    fen: '2k5/ppp5/8/8/8/8/PPP5/2K5 w - - 0 1'
+  },
+  {
+    name: 'Split pawns, black to move',
+    fen: '4k3/p4ppp/8/8/8/8/P4PPP/4K3 b - - 0 1'
+  },
+  {
+    name: 'Knight endgame',
+    fen: '4k3/3n1ppp/8/8/8/8/3N1PPP/4K3 w - - 0 1'
+  }
+];
+
+/**
+ * Distance of a square from the four centre squares, counted in king moves
+ * @param {number} square - Square index (0-63)
+ * @returns {number} - 0 on d4/e4/d5/e5, 1 on the ring around them, up to 3 on the edge
+ */
+function centreDistance(square) {
+  const file = square % 8;
+  const rank = Math.floor(square / 8);
+  return Math.max(Math.abs(2 * file - 7), Math.abs(2 * rank - 7)) / 2 - 0.5;
+}
+
+/**
+ * Run the endgame regression set: the engine plays both sides from each
+ * position, and the king of the side to move must end up in the c3-f6 box,
+ * or in the opponent's half of the board (an invading king is active too)
+ * @param {Object} options - { depth: search depth per move, moves: moves to play for the side to move, log: output function }
+ * @returns {Object} - { positions, failures }
+ */
+function runEndgameSuite(options = {}) {
+  const depth = options.depth || 4;
+  const moveCount = options.moves || 6;
+  const log = options.log || console.log;
+
+  let failures = 0;
+
+  for (const { name, fen } of ENDGAME_SUITE) {
+    const engine = new ChessEngine2({ maxDepth: depth, timeLimit: Infinity });
+    engine.loadPosition(fen);
+
+    const board = engine.board;
+    const color = board.turn;
+    const played = [];
+
+    // Both sides move, so play twice as many plies
+    for (let ply = 0; ply < moveCount * 2; ply++) {
+      const move = engine.getBestMove();
+      if (!move || !board.makeUciMove(move)) {
+        break;
+      }
+      if (ply % 2 === 0) {
+        played.push(move);
+      }
+    }
+
+    const kingSquare = board.squares.indexOf(KING | color);
+    const distance = centreDistance(kingSquare);
+    const rank = Math.floor(kingSquare / 8);
+    const invaded = color === WHITE ? rank >= 4 : rank <= 3;
+    const passed = distance <= 1 || invaded;
+    if (!passed) {
+      failures++;
+    }
+
+    log(`${passed ? 'OK  ' : 'FAIL'} ${name}: king on ${squareName(kingSquare)} after ${played.length} moves (${played.join(' ')})`);
+    if (!passed) {
+      log(`     FEN: ${fen}`);
+    }
+  }
+
+  log('');
+  log(`${ENDGAME_SUITE.length - failures}/${ENDGAME_SUITE.length} positions passed`);
+
+  return { positions: ENDGAME_SUITE.length, failures };
+}
+
+module.exports = {
+  ENDGAME_SUITE,
+  centreDistance,
+  runEndgameSuite
+};
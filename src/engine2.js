@@ -2,7 +2,8 @@
  * ChessEngine2 - Advanced Chess Engine Implementation
  */
 
-const { Board, EMPTY, PAWN, KNIGHT, BISHOP, ROOK, QUEEN, KING, WHITE, BLACK, PIECE_MASK, COLOR_MASK } = require('./board');
+const { EMPTY, PAWN, KNIGHT, BISHOP, ROOK, QUEEN, KING, WHITE, BLACK, PIECE_MASK, COLOR_MASK, FIFTY_MOVE_CLOCK } = require('./board');
+const { createBoard } = require('./bitboard');
 
 // Material values (in centipawns)
 const PIECE_VALUES = {
@@ -14,7 +15,8 @@ const PIECE_VALUES = {
   [KING]: 20000
 };
 
-// Piece-Square tables for middlegame
+// Piece-Square tables for middlegame, laid out from white's side with rank 8
+// in the first row
 const MG_TABLES = {
   [PAWN]: [
     0,   0,   0,   0,   0,   0,   0,   0,
@@ -142,15 +144,18 @@ const EG_TABLES = {
   ]
 };
 
-// Evaluation bonuses
-const BISHOP_PAIR_BONUS = 50;
-const MOBILITY_FACTOR = 3;
-const ROOK_ON_OPEN_FILE_BONUS = 25;
-const ROOK_ON_SEMI_OPEN_FILE_BONUS = 15;
-const ROOK_ON_SEVENTH_BONUS = 30;
-const PASSED_PAWN_BONUS = [0, 5, 10, 20, 40, 60, 100, 200]; // By rank
-const DOUBLED_PAWN_PENALTY = -15;
-const ISOLATED_PAWN_PENALTY = -15;
+// Evaluation bonuses, with separate middlegame and endgame weights
+const BISHOP_PAIR_BONUS = { mg: 30, eg: 60 };
+const MOBILITY_BONUS = { mg: 4, eg: 2 }; // Per legal move
+const ROOK_ON_OPEN_FILE_BONUS = { mg: 25, eg: 10 };
+const ROOK_ON_SEMI_OPEN_FILE_BONUS = { mg: 15, eg: 5 };
+const ROOK_ON_SEVENTH_BONUS = { mg: 20, eg: 40 };
+const PASSED_PAWN_BONUS = { // By rank
+  mg: [0, 5, 10, 15, 25, 40, 70, 0],
+  eg: [0, 10, 20, 35, 60, 100, 160, 0]
+};
+const DOUBLED_PAWN_PENALTY = { mg: -10, eg: -25 }; // Per pawn on the file
+const ISOLATED_PAWN_PENALTY = { mg: -10, eg: -20 };
 
 // Game phase weights for tapered evaluation
 const PHASE_WEIGHTS = {
@@ -189,123 +194,504 @@ const OPENING_BOOK = {
 
 // Search constants
 const MAX_PLY = 64;
+
+// Values of the shared stop signal (see stopSignal)
+const SIGNAL_SEARCH = 0;    // Keep searching
+const SIGNAL_STOP = 1;      // Stop and report the best move
+const SIGNAL_PONDERHIT = 2; // The expected move was played: the ponder search becomes a timed search
+const CURRMOVE_INFO_DELAY = 1000; // Report the root move being searched once a search runs this long (ms)
 const INFINITY = 30000;
 const MATE_VALUE = 20000;
 const MATE_THRESHOLD = 19000;
 
+// Search techniques that can be switched off (ChessEngine2 "features" option),
+// to measure what each one is worth
+const SEARCH_FEATURES = {
+  pvs: true,             // Principal Variation Search (null windows after the first move)
+  aspiration: true,      // Aspiration windows around the previous iteration's score
+  checkExtensions: true, // Search one ply deeper when in check
+  nullMove: true,        // Pass the turn and cut off when the opponent still cannot reach beta
+  reverseFutility: true, // Return the static evaluation when it beats beta by a margin (static null move)
+  razoring: true,        // Drop into quiescence search when far below alpha near the leaves
+  futility: true,        // Skip quiet moves near the leaves when the static evaluation is far below alpha
+  lateMovePruning: true, // Skip late quiet moves near the leaves
+  lmrTable: true,        // Reduce late moves by depth and move number (otherwise by one ply)
+  deltaPruning: true,    // Skip captures in quiescence search that cannot raise alpha
+  qsearchChecks: false   // Search quiet checks on the first ply of quiescence search
+};
+
+// Aspiration windows: iterations from this depth on start with a window of
+// this many centipawns either side of the previous score, doubled on every
+// fail low or fail high until it is wider than the maximum
+const ASPIRATION_MIN_DEPTH = 4;
+const ASPIRATION_WINDOW = 25;
+const ASPIRATION_MAX_WINDOW = 400;
+
+// Reverse futility pruning: up to this depth, margin per ply of depth
+const REVERSE_FUTILITY_DEPTH = 6;
+const REVERSE_FUTILITY_MARGIN = 90;
+
+// Razoring margins by depth (razoring applies up to depth 3)
+const RAZOR_MARGINS = [0, 250, 400, 550];
+
+// Futility pruning margins by depth (futility pruning applies up to depth 3)
+const FUTILITY_MARGINS = [0, 200, 300, 500];
+
+// Late move pruning: quiet moves searched by depth before the rest are skipped (up to depth 4)
+const LATE_MOVE_COUNTS = [0, 4, 7, 12, 19];
+
+// Delta pruning margin on top of the captured piece's value
+const DELTA_MARGIN = 200;
+
+// Late move reductions start after this many moves; the reduction grows
+// with the logarithms of the depth and of the move number
+const LMR_MIN_MOVES = 4;
+const LMR_TABLE = Array.from({ length: MAX_PLY }, (_, depth) =>
+  Array.from({ length: 64 }, (_, moveNumber) =>
+    depth === 0 || moveNumber === 0 ? 0 : Math.floor(0.75 + Math.log(depth) * Math.log(moveNumber) / 2.25)));
+
+// History heuristics: scores stay within +-HISTORY_MAX; a cutoff adds a
+// bonus growing with depth, and the quiet moves tried before it get the same
+// as a malus. Between moves scores are scaled down by HISTORY_DECAY.
+const HISTORY_MAX = 16384;
+const HISTORY_BONUS_MAX = 1600;
+const HISTORY_DECAY = 0.5;
+const PIECE_TO_SIZE = 12 * 64;
+
 // Transposition table flags
 const TT_EXACT = 0;  // Exact score
 const TT_ALPHA = 1;  // Upper bound (fail low)
 const TT_BETA = 2;   // Lower bound (fail high)
 
+// Move picker stages, in the order moves are tried
+const STAGE_TT_MOVE = 0;
+const STAGE_CAPTURES = 1;     // Captures that do not lose material
+const STAGE_KILLERS = 2;       // Killer moves and the counter move
+const STAGE_QUIETS = 3;
+const STAGE_BAD_CAPTURES = 4; // Captures losing material by static exchange evaluation
+const STAGE_EVASIONS = 5;     // Replaces all other stages when in check
+
+// Lazy SMP depth skipping for helper threads: helper i searches depth d
+// unless floor((d + SKIP_PHASE[i]) / SKIP_SIZE[i]) is odd
+const SKIP_SIZE = [1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 3, 3, 4, 4, 4, 4, 4, 4, 4, 4];
+const SKIP_PHASE = [0, 1, 0, 1, 2, 3, 0, 1, 2, 3, 4, 5, 0, 1, 2, 3, 4, 5, 6, 7];
+
+// Transposition table layout: buckets of two entries, each entry four 32-bit words
+const TT_ENTRY_WORDS = 4;
+const TT_BUCKET_WORDS = 2 * TT_ENTRY_WORDS;
+const TT_BUCKET_BYTES = TT_BUCKET_WORDS * 4;
+const TT_DEFAULT_SIZE_MB = 16;
+const TT_VALUE_OFFSET = 32768;      // Scores are stored as 16-bit unsigned values
+const TT_USED = 1 << 26;            // Set in every stored entry's data word
+const TT_GENERATION_SHIFT = 27;     // Data bits 27-31 hold the search generation
+const TT_GENERATION_MASK = 31;
+const TT_MOVE_PRESENT = 1 << 16;    // Set in the move word when a best move is stored
+
 /**
- * Transposition table for position caching
+ * Transposition table for position caching, kept in a typed array so several
+ * search threads can share it through a SharedArrayBuffer.
+ *
+ * The table is a fixed number of two-entry buckets. The first entry of a
+ * bucket is depth-preferred: it keeps the deepest result, unless that was
+ * stored by an earlier search (an older generation) or a shallower exact
+ * result for the same position replaces it. The second entry always takes
+ * what the first one turned down.
+ *
+ * Entry words: [key low ^ data, key high ^ move, data, move], where data packs
+ * the value, depth, flag and generation and move packs from, to, promotion
+ * and castling. Storing the key XORed with the contents makes an entry torn
+ * by two threads writing at once fail the key check instead of returning
+ * mixed data.
  */
 class TranspositionTable {
-  constructor(size = 1000000) {
-    this.table = new Map();
-    this.maxSize = size;
-  }
-
-  store(fen, depth, value, flag, bestMove) {
-    if (this.table.size >= this.maxSize) {
-      this.clear(0.5); // Clear half the table when full
-    }
-    
-    const key = fen.split(' ').slice(0, 4).join(' ');
-    this.table.set(key, {
-      depth,
-      value,
-      flag,
-      bestMove,
-      age: 0
-    });
+  /**
+   * @param {Object} options - { sizeMb: table size in megabytes, buffer: table memory shared with another table (overrides sizeMb) }
+   */
+  constructor(options = {}) {
+    const bytes = options.buffer
+      ? options.buffer.byteLength - 4
+      : Math.max(Math.floor((options.sizeMb || TT_DEFAULT_SIZE_MB) * 1024 * 1024 / TT_BUCKET_BYTES), 1) * TT_BUCKET_BYTES;
+    
+    // The buckets, followed by one word holding the current generation
+    this.buffer = options.buffer || new SharedArrayBuffer(bytes + 4);
+    this.words = new Int32Array(this.buffer, 0, bytes / 4);
+    this.generation = new Int32Array(this.buffer, bytes, 1);
+    this.bucketCount = bytes / TT_BUCKET_BYTES;
   }
-
-  lookup(fen) {
-    const key = fen.split(' ').slice(0, 4).join(' ');
-    return this.table.get(key);
+  
+  /**
+   * Start a new search: entries from earlier searches become the first to be replaced
+   */
+  newSearch() {
+    this.generation[0] = (this.generation[0] + 1) & TT_GENERATION_MASK;
   }
-
-  clear(portion = 1.0) {
-    if (portion >= 1.0) {
-      this.table.clear();
-      return;
+  
+  store(keyLo, keyHi, depth, value, flag, bestMove) {
+    const bucket = ((keyLo >>> 0) % this.bucketCount) * TT_BUCKET_WORDS;
+    const generation = this.generation[0];
+    
+    // Depth-preferred entry: replace it when empty, when left over from an
+    // earlier search, with a result at least as deep, or with an exact
+    // result for the same position (shallow quiescence results for it go to
+    // the other entry)
+    let index = bucket;
+    const data0 = this.words[bucket + 2];
+    const sameKey = this.matches(bucket, keyLo, keyHi);
+    if (data0 !== 0 &&
+        ((data0 >>> TT_GENERATION_SHIFT) & TT_GENERATION_MASK) === generation &&
+        depth < ((data0 >>> 16) & 0xff) &&
+        !(sameKey && flag === TT_EXACT)) {
+      index = bucket + TT_ENTRY_WORDS;
     }
     
-    const entries = [...this.table.entries()];
-    const countToRemove = Math.floor(entries.length * portion);
-    
-    // Sort by depth and age (prefer to keep deeper, newer entries)
-    entries.sort((a, b) => {
-      const scoreA = a[1].depth - a[1].age * 2;
-      const scoreB = b[1].depth - b[1].age * 2;
-      return scoreA - scoreB;
-    });
+    // Keep the best move of the position when the new result has none
+    let move = bestMove
+      ? bestMove.from | (bestMove.to << 6) | (bestMove.promotion << 12) | (bestMove.isCastle ? 1 << 15 : 0) | TT_MOVE_PRESENT
+      : 0;
+    if (move === 0) {
+      if (this.matches(index, keyLo, keyHi)) {
+        move = this.words[index + 3];
+      } else if (sameKey) {
+        move = this.words[bucket + 3];
+      }
+    }
     
-    // Remove oldest/shallowest entries
-    for (let i = 0; i < countToRemove; i++) {
-      this.table.delete(entries[i][0]);
+    const data = (value + TT_VALUE_OFFSET) | (depth << 16) | (flag << 24) | TT_USED | (generation << TT_GENERATION_SHIFT);
+    this.words[index] = keyLo ^ data;
+    this.words[index + 1] = keyHi ^ move;
+    this.words[index + 2] = data;
+    this.words[index + 3] = move;
+  }
+  
+  lookup(keyLo, keyHi) {
+    const bucket = ((keyLo >>> 0) % this.bucketCount) * TT_BUCKET_WORDS;
+    
+    let index = bucket;
+    if (!this.matches(index, keyLo, keyHi)) {
+      index += TT_ENTRY_WORDS;
+      if (!this.matches(index, keyLo, keyHi)) {
+        return null;
+      }
     }
     
-    // Age remaining entries
-    for (const entry of this.table.values()) {
-      entry.age++;
+    const data = this.words[index + 2];
+    const move = this.words[index + 3];
+    return {
+      depth: (data >>> 16) & 0xff,
+      value: (data & 0xffff) - TT_VALUE_OFFSET,
+      flag: (data >>> 24) & 3,
+      bestMove: move === 0 ? null : {
+        from: move & 63,
+        to: (move >>> 6) & 63,
+        promotion: (move >>> 12) & 7,
+        isCastle: (move & (1 << 15)) !== 0
+      }
+    };
+  }
+  
+  /**
+   * Check whether an entry holds a position
+   * @param {number} index - Index of the entry's first word
+   * @param {number} keyLo - Low 32 bits of the position's Zobrist key
+   * @param {number} keyHi - High 32 bits of the position's Zobrist key
+   * @returns {boolean} - True if the entry is in use and its key matches
+   */
+  matches(index, keyLo, keyHi) {
+    const data = this.words[index + 2];
+    return data !== 0 &&
+      (this.words[index] ^ data) === keyLo &&
+      (this.words[index + 1] ^ this.words[index + 3]) === keyHi;
+  }
+  
+  /**
+   * How full the table is, as reported in UCI "hashfull"
+   * @returns {number} - Entries stored by the current search, per thousand (sampled from the first buckets)
+   */
+  hashfull() {
+    const generation = this.generation[0];
+    const entries = Math.min(1000, this.bucketCount * 2);
+    let used = 0;
+    for (let i = 0; i < entries; i++) {
+      const data = this.words[i * TT_ENTRY_WORDS + 2];
+      if (data !== 0 && ((data >>> TT_GENERATION_SHIFT) & TT_GENERATION_MASK) === generation) {
+        used++;
+      }
     }
+    return Math.round(used * 1000 / entries);
+  }
+  
+  clear() {
+    this.words.fill(0);
   }
 }
 
 /**
- * History table for move ordering
+ * History table for move ordering: a score per move, indexed by from/to
+ * squares or, for continuation history, by the previous move and this one
  */
 class HistoryTable {
-  constructor() {
-    this.clear();
+  /**
+   * @param {number} size - Number of scores
+   */
+  constructor(size = 64 * 64) {
+    this.table = new Int32Array(size);
   }
   
   clear() {
-    this.table = new Array(64 * 64).fill(0);
+    this.table.fill(0);
   }
   
-  get(from, to) {
-    return this.table[from * 64 + to];
+  get(index) {
+    return this.table[index];
   }
   
-  update(from, to, depth) {
-    const idx = from * 64 + to;
-    this.table[idx] += depth * depth;
-    
-    if (this.table[idx] > 1000000) {
-      this.decay(0.75);
-    }
+  /**
+   * Add a bonus (or a malus, when negative) with gravity: the closer a score
+   * is to the limit, the less it moves, so scores stay within +-HISTORY_MAX
+   * and recent results outweigh old ones
+   * @param {number} index - Score index
+   * @param {number} bonus - Amount to add, at most HISTORY_MAX in size
+   */
+  update(index, bonus) {
+    this.table[index] += bonus - Math.trunc(this.table[index] * Math.abs(bonus) / HISTORY_MAX);
   }
   
   decay(factor) {
     for (let i = 0; i < this.table.length; i++) {
-      this.table[i] = Math.floor(this.table[i] * factor);
+      this.table[i] = Math.trunc(this.table[i] * factor);
     }
   }
 }
 
+/**
+ * Index of a piece arriving on a square, for counter moves and continuation
+ * history: 12 pieces by 64 squares
+ * @param {Object} move - The move
+ * @returns {number} - Index from 0 to PIECE_TO_SIZE - 1
+ */
+function pieceToIndex(move) {
+  const piece = ((move.piece & COLOR_MASK) === WHITE ? 0 : 6) + (move.piece & PIECE_MASK) - 1;
+  return piece * 64 + move.to;
+}
+
+/**
+ * Convert a score to store in the transposition table: mate scores count the
+ * distance to mate from this position instead of from the root, so they stay
+ * right when the position is reached at another ply
+ * @param {number} value - Score relative to the root
+ * @param {number} ply - Distance from the root
+ * @returns {number} - Score relative to the position
+ */
+function valueToTt(value, ply) {
+  if (value >= MATE_THRESHOLD) {
+    return value + ply;
+  }
+  if (value <= -MATE_THRESHOLD) {
+    return value - ply;
+  }
+  return value;
+}
+
+/**
+ * Convert a score read from the transposition table back to the root's view
+ * @param {number} value - Score relative to the position
+ * @param {number} ply - Distance from the root
+ * @returns {number} - Score relative to the root
+ */
+function valueFromTt(value, ply) {
+  if (value >= MATE_THRESHOLD) {
+    return value - ply;
+  }
+  if (value <= -MATE_THRESHOLD) {
+    return value + ply;
+  }
+  return value;
+}
+
+/**
+ * Staged move picker: yields the hash move, good captures, killer moves and
+ * the counter move, quiet moves and then losing captures, generating and
+ * ordering each group only when it is reached
+ */
+class MovePicker {
+  /**
+   * @param {ChessEngine2} engine - The engine (for its board, killers and history)
+   * @param {Object} ttMove - Best move stored in the transposition table, or null
+   * @param {number} ply - Distance from the root, for killer moves
+   * @param {boolean} capturesOnly - Only yield captures that do not lose material (quiescence search)
+   */
+  constructor(engine, ttMove = null, ply = 0, capturesOnly = false) {
+    this.engine = engine;
+    this.board = engine.board;
+    this.ttMove = ttMove;
+    this.ply = ply;
+    this.capturesOnly = capturesOnly;
+    
+    if (capturesOnly) {
+      this.stage = STAGE_CAPTURES;
+    } else if (this.board.isInCheck(this.board.turn)) {
+      this.stage = STAGE_EVASIONS;
+    } else {
+      this.stage = STAGE_TT_MOVE;
+    }
+    
+    this.moves = null;  // Moves of the current stage, generated on first use
+    this.index = 0;     // Next move of the current stage
+    this.played = [];   // Hash and killer moves, skipped when they come up again
+    this.badCaptures = []; // Losing captures, set aside until after the quiet moves
+  }
+  
+  /**
+   * Get the next move to search
+   * @returns {Object|null} - The next legal move, or null when all have been yielded
+   */
+  next() {
+    for (;;) {
+      if (this.moves === null) {
+        this.moves = this.generateStage();
+      }
+      
+      while (this.index < this.moves.length) {
+        const move = this.pickBest();
+        if (this.played.some(m => m.from === move.from && m.to === move.to && m.promotion === move.promotion)) {
+          continue;
+        }
+        if (this.stage === STAGE_TT_MOVE || this.stage === STAGE_KILLERS) {
+          this.played.push(move);
+        }
+        return move;
+      }
+      
+      // Move on to the next stage
+      if (this.capturesOnly || this.stage >= STAGE_BAD_CAPTURES) {
+        return null;
+      }
+      this.stage++;
+      this.moves = null;
+      this.index = 0;
+    }
+  }
+  
+  /**
+   * Generate and score the moves of the current stage
+   * @returns {Array} - The stage's moves
+   */
+  generateStage() {
+    let moves;
+    
+    switch (this.stage) {
+      case STAGE_TT_MOVE: {
+        const move = this.ttMove && this.board.findLegalMove(this.ttMove);
+        return move ? [move] : [];
+      }
+      case STAGE_CAPTURES: {
+        // Losing captures score below zero; keep them for their own stage
+        const captures = this.board.generateCaptures();
+        moves = [];
+        for (const move of captures) {
+          move.score = this.engine.scoreMove(move, this.ttMove, this.ply);
+          (move.score >= 0 ? moves : this.badCaptures).push(move);
+        }
+        return moves;
+      }
+      case STAGE_KILLERS: {
+        // The killer moves, then the counter move
+        const killers = [
+          this.engine.killerMoves[this.ply * 2],
+          this.engine.killerMoves[this.ply * 2 + 1],
+          this.engine.getCounterMove(this.ply)
+        ];
+        return killers
+          .map(killer => killer && this.board.findLegalMove(killer))
+          .filter(move => move && move.captured === EMPTY);
+      }
+      case STAGE_QUIETS:
+        moves = this.board.generateQuiets();
+        break;
+      case STAGE_BAD_CAPTURES:
+        return this.badCaptures;
+      case STAGE_EVASIONS:
+        moves = this.board.generateEvasions();
+        break;
+    }
+    
+    for (const move of moves) {
+      move.score = this.engine.scoreMove(move, this.ttMove, this.ply);
+    }
+    return moves;
+  }
+  
+  /**
+   * Take the highest scoring remaining move of the current stage (selection
+   * sort, so moves after a cutoff are never sorted)
+   * @returns {Object} - The move
+   */
+  pickBest() {
+    const moves = this.moves;
+    let best = this.index;
+    for (let i = this.index + 1; i < moves.length; i++) {
+      if (moves[i].score > moves[best].score) {
+        best = i;
+      }
+    }
+    
+    const move = moves[best];
+    moves[best] = moves[this.index];
+    moves[this.index] = move;
+    this.index++;
+    
+    return move;
+  }
+}
+
 /**
  * Main Chess Engine Class
  */
 class ChessEngine2 {
   constructor(options = {}) {
-    this.board = new Board();
+    this.backend = options.backend || 'mailbox'; // Board implementation: "mailbox" or "bitboard"
+    this.board = createBoard(this.backend);
     this.timeLimit = options.timeLimit || 3000; // 3 seconds per move max
     this.maxDepth = options.maxDepth || 40;     // Very deep, time will be the limit
+    this.nodeLimit = options.nodeLimit || Infinity; // Stop after searching this many nodes
+    this.mateLimit = options.mateLimit || 0;    // Look for a mate in this many moves (0: no mate search)
+    this.searchMoves = null;                    // Only consider these root moves (UCI notation), null for all
+    this.timeManager = null;                    // TimeManager deciding when to stop iterating, when playing with a clock
+    this.multiPv = options.multiPv || 1;        // Number of best root moves to search and report (MultiPV)
+    this.onInfo = options.onInfo || null;       // Called with search progress, see reportIteration()
+    this.stopSignal = options.stopSignal || null; // Int32Array on shared memory holding a SIGNAL_* value, set from another thread
+    this.pondering = false;                     // Searching on the opponent's time: no time limit until ponderhit
+    this.features = { ...SEARCH_FEATURES, ...options.features }; // Search techniques in use, see SEARCH_FEATURES
+    this.contempt = options.contempt || 0;      // Centipawns a draw is worth less than equality to the side to move at the root (negative to seek draws)
+    
+    // Lazy SMP: every search thread runs its own ChessEngine2 on a shared
+    // transposition table and publishes its node count in threadNodes
+    this.threadIndex = options.threadIndex || 0;    // 0 for the main thread, helpers skip some depths
+    this.threadNodes = options.threadNodes || null; // Float64Array on shared memory, one node count per thread
     
     // Search statistics
     this.evaluations = 0;
     this.nodesSearched = 0;
+    this.selDepth = 0; // Deepest ply reached, including quiescence search
+    this.clockStartTime = 0; // When our clock started running: the search start, or the ponderhit
+    this.ponderMove = null;  // Expected reply to the best move, from the principal variation
+    this.pvLines = [];       // Best root moves of the last completed iteration: [{ move, score, mate, pv }], best first
     this.startTime = 0;
     this.timeCheckInterval = 1000; // Check time every 1000 nodes
     
     // Cache and move ordering
-    this.transpositionTable = new TranspositionTable();
+    this.transpositionTable = new TranspositionTable({ sizeMb: options.hashSize, buffer: options.ttBuffer }); // hashSize in megabytes
     this.historyTable = new HistoryTable();
     this.killerMoves = new Array(MAX_PLY * 2).fill(null);
+    this.counterMoves = new Array(PIECE_TO_SIZE).fill(null); // Best reply by the previous move's piece and square
+    
+    // Continuation history: quiet moves scored by the move one ply before
+    // (the opponent's) and two plies before (our own), by piece and square
+    this.continuationHistory = [
+      new HistoryTable(PIECE_TO_SIZE * PIECE_TO_SIZE),
+      new HistoryTable(PIECE_TO_SIZE * PIECE_TO_SIZE)
+    ];
+    this.searchStack = new Array(MAX_PLY).fill(null); // Move made at each ply of the current line, null for a null move
     
     // Principal Variation tracking
     this.pvTable = new Array(MAX_PLY).fill(null).map(() => new Array(MAX_PLY).fill(null));
@@ -322,6 +708,25 @@ class ChessEngine2 {
     this.board.setupInitialPosition();
   }
   
+  /**
+   * Start a new game: reset the board and forget cached search data
+   */
+  reset() {
+    this.resetBoard();
+    this.transpositionTable.clear();
+    this.clearHistory();
+  }
+  
+  /**
+   * Forget the move ordering statistics kept between searches
+   */
+  clearHistory() {
+    this.historyTable.clear();
+    this.continuationHistory.forEach(table => table.clear());
+    this.counterMoves.fill(null);
+    this.killerMoves.fill(null);
+  }
+  
   /**
    * Load position from FEN
    */
@@ -329,6 +734,19 @@ class ChessEngine2 {
     this.board.loadFromFen(fen);
   }
   
+  /**
+   * Switch to another board implementation, keeping the current position
+   * @param {string} backend - Backend name: "mailbox" or "bitboard"
+   */
+  setBackend(backend) {
+    const board = createBoard(backend);
+    board.chess960 = this.board.chess960;
+    board.loadFromFen(this.board.toFen());
+    
+    this.backend = backend;
+    this.board = board;
+  }
+  
   /**
    * Get search statistics
    */
@@ -336,78 +754,307 @@ class ChessEngine2 {
     return {
       evaluations: this.evaluations,
       timeElapsed: Date.now() - this.startTime,
-      nodesSearched: this.nodesSearched,
-      tableSize: this.transpositionTable.table.size
+      nodesSearched: this.totalNodes(),
+      hashfull: this.transpositionTable.hashfull()
     };
   }
   
+  /**
+   * Nodes searched by all search threads
+   * @returns {number} - This thread's nodes plus the counts other threads last published
+   */
+  totalNodes() {
+    if (!this.threadNodes) {
+      return this.nodesSearched;
+    }
+    
+    let nodes = this.nodesSearched;
+    for (let i = 0; i < this.threadNodes.length; i++) {
+      if (i !== this.threadIndex) {
+        nodes += this.threadNodes[i];
+      }
+    }
+    return nodes;
+  }
+  
+  /**
+   * Lazy SMP: helper threads skip some iterations so the threads spread over
+   * different depths instead of all searching the same tree
+   * @param {number} depth - Iteration depth
+   * @returns {boolean} - True if this thread should not search the depth
+   */
+  skipDepth(depth) {
+    if (this.threadIndex === 0) {
+      return false;
+    }
+    
+    const i = (this.threadIndex - 1) % SKIP_SIZE.length;
+    return Math.floor((depth + SKIP_PHASE[i]) / SKIP_SIZE[i]) % 2 === 1;
+  }
+  
   /**
    * Find the best move for the current position
    */
   getBestMove() {
     this.evaluations = 0;
     this.nodesSearched = 0;
+    this.selDepth = 0;
     this.startTime = Date.now();
+    this.clockStartTime = this.startTime;
+    this.ponderMove = null;
+    this.pvLines = [];
+    this.pvLength[0] = 0; // Forget the principal variation of the last position searched
     this.searchAborted = false;
     
-    // Check opening book first
+    // Check opening book first (unless the root moves are restricted)
     const fen = this.board.toFen();
-    if (OPENING_BOOK[fen]) {
+    if (OPENING_BOOK[fen] && !this.searchMoves) {
       const moves = OPENING_BOOK[fen];
       const randomIndex = Math.floor(Math.random() * moves.length);
       return moves[randomIndex];
     }
     
-    // Reset move ordering data
-    this.historyTable.clear();
+    // Age the entries of earlier searches (the main thread does it for all threads)
+    if (this.threadIndex === 0) {
+      this.transpositionTable.newSearch();
+    }
+    
+    // Move ordering data carries over from the last move, but weighs less
+    this.historyTable.decay(HISTORY_DECAY);
+    this.continuationHistory.forEach(table => table.decay(HISTORY_DECAY));
     this.killerMoves.fill(null);
     
     // Iterative deepening
     let bestMove = null;
     
+    // A mate in N moves shows up at 2N plies, once the mated side's lack of
+    // legal moves is inside the search
+    const maxDepth = this.mateLimit ? Math.min(this.maxDepth, this.mateLimit * 2) : this.maxDepth;
+    
+    const rootMoveCount = this.getRootMoves().length;
+    
     // Start from shallow depths and increase
-    for (let depth = 1; depth <= this.maxDepth; depth++) {
+    for (let depth = 1; depth <= maxDepth; depth++) {
+      if (this.skipDepth(depth)) {
+        continue;
+      }
+      
       // Find best move at current depth
-      const result = this.search(depth);
+      const result = this.search(depth, [], this.pvLines.length > 0 ? this.pvLines[0].score : null);
       
-      // If search was aborted due to time, use the previous result
+      // If search was aborted, use the previous result, or whatever the
+      // unfinished first iteration found
       if (this.searchAborted) {
+        if (!bestMove) {
+          bestMove = result.move || this.getRootMoves()[0] || null;
+        }
         break;
       }
       
       bestMove = result.move;
+      const lines = result.move ? [this.createPvLine(result)] : []; // No lines when mated or stalemated
+      this.ponderMove = lines.length > 0 ? lines[0].pv[1] || null : null;
       
-      // Exit if we've found a forced mate
+      // MultiPV: search again without the moves found so far for each further line
+      while (lines.length > 0 && lines.length < this.multiPv) {
+        const previous = this.pvLines[lines.length];
+        const line = this.search(depth, lines.map(l => l.rootMove), previous ? previous.score : null);
+        if (this.searchAborted || !line.move) {
+          break;
+        }
+        lines.push(this.createPvLine(line));
+      }
+      
+      // An unfinished MultiPV iteration still improved the best move, but its lines are incomplete
+      if (this.searchAborted) {
+        break;
+      }
+      
+      this.pvLines = lines;
+      lines.forEach((line, index) => this.reportIteration(depth, line.score, line.pv, index + 1));
+      
+      // Exit if we've found a forced mate (in MultiPV analysis, keep deepening the other lines)
       const score = result.score;
-      if (Math.abs(score) > MATE_THRESHOLD) {
+      if (this.multiPv === 1 && Math.abs(score) > MATE_THRESHOLD) {
         break;
       }
       
-      // Exit if we're close to time limit
-      const elapsed = Date.now() - this.startTime;
-      if (elapsed > this.timeLimit * 0.75) {
+      // Exit if we're close to time limit; with a clock the time manager
+      // decides, based on how the search is going. Pondering has no limit.
+      const elapsed = Date.now() - this.clockStartTime;
+      if (this.pondering) {
+        continue;
+      } else if (this.timeManager) {
+        this.timeManager.update(this.board.moveToUci(bestMove), score, rootMoveCount);
+        if (this.timeManager.shouldStop(elapsed)) {
+          break;
+        }
+      } else if (elapsed > this.timeLimit * 0.75) {
         break;
       }
     }
     
+    if (this.threadNodes) {
+      this.threadNodes[this.threadIndex] = this.nodesSearched;
+    }
+    
     return bestMove ? this.board.moveToUci(bestMove) : null;
   }
   
   /**
-   * Alpha-beta search at a specific depth
+   * Report a completed iterative deepening iteration through onInfo
+   * @param {number} depth - The completed depth
+   * @param {number} score - Score of the best move in centipawns
+   * @param {Array} pv - Principal variation in UCI notation
+   * @param {number} multiPv - Rank of the line among the best root moves, starting at 1
    */
-  search(depth) {
-    const alpha = -INFINITY;
-    const beta = INFINITY;
+  reportIteration(depth, score, pv, multiPv = 1) {
+    if (!this.onInfo) {
+      return;
+    }
     
-    return this.rootAlphaBeta(depth, alpha, beta);
+    const time = Date.now() - this.startTime;
+    const nodes = this.totalNodes();
+    this.onInfo({
+      depth,
+      seldepth: Math.max(this.selDepth, depth),
+      multipv: multiPv,
+      score,
+      mate: this.mateDistance(score),
+      nodes,
+      nps: Math.floor(nodes * 1000 / Math.max(time, 1)),
+      hashfull: this.transpositionTable.hashfull(),
+      time,
+      pv
+    });
   }
   
   /**
-   * Root alpha-beta search
+   * Describe a root search result as a line of analysis
+   * @param {Object} result - { move, score } from rootAlphaBeta, whose principal variation is in pvTable
+   * @returns {Object} - { rootMove: the move object, move: UCI move, score, mate: moves to mate or null, pv: UCI moves }
+   */
+  createPvLine(result) {
+    const pv = this.getPrincipalVariation();
+    return {
+      rootMove: result.move,
+      move: this.board.moveToUci(result.move),
+      score: result.score,
+      mate: this.mateDistance(result.score),
+      pv
+    };
+  }
+  
+  /**
+   * Convert a mate score to a distance in moves
+   * @param {number} score - Score in centipawns
+   * @returns {number|null} - Moves to mate (negative when getting mated), or null for a normal score
+   */
+  mateDistance(score) {
+    if (Math.abs(score) <= MATE_THRESHOLD) {
+      return null;
+    }
+    
+    const plies = MATE_VALUE - Math.abs(score);
+    const moves = Math.ceil(plies / 2);
+    return score > 0 ? moves : -moves;
+  }
+  
+  /**
+   * Get the principal variation of the last completed search
+   * @returns {Array} - Moves in UCI notation
+   */
+  getPrincipalVariation() {
+    const pv = [];
+    
+    // Play the line out so each move is written in its own position
+    for (let i = 0; i < this.pvLength[0]; i++) {
+      const move = this.pvTable[0][i];
+      pv.push(this.board.moveToUci(move));
+      this.board.makeMove(move);
+    }
+    for (let i = 0; i < pv.length; i++) {
+      this.board.undoMove();
+    }
+    
+    return pv;
+  }
+  
+  /**
+   * Store a new best move at a ply, followed by the line that refuted its reply
+   * @param {number} ply - Ply of the move
+   * @param {Object} move - The new best move
+   */
+  updatePrincipalVariation(ply, move) {
+    this.pvTable[ply][ply] = move;
+    for (let i = ply + 1; i < this.pvLength[ply + 1]; i++) {
+      this.pvTable[ply][i] = this.pvTable[ply + 1][i];
+    }
+    this.pvLength[ply] = this.pvLength[ply + 1];
+  }
+  
+  /**
+   * Alpha-beta search at a specific depth. With the score of the previous
+   * iteration, the search starts with a narrow (aspiration) window around it,
+   * widened whenever the score falls outside.
+   * @param {number} depth - Depth in plies
+   * @param {Array} excluded - Root moves to leave out (already reported MultiPV lines)
+   * @param {number} previousScore - Score of the same line at the previous depth, or null
+   */
+  search(depth, excluded = [], previousScore = null) {
+    if (!this.features.aspiration || depth < ASPIRATION_MIN_DEPTH || previousScore === null ||
+        Math.abs(previousScore) > MATE_THRESHOLD) {
+      return this.rootAlphaBeta(depth, -INFINITY, INFINITY, excluded);
+    }
+    
+    let delta = ASPIRATION_WINDOW;
+    let alpha = Math.max(previousScore - delta, -INFINITY);
+    let beta = Math.min(previousScore + delta, INFINITY);
+    
+    while (true) {
+      const result = this.rootAlphaBeta(depth, alpha, beta, excluded);
+      if (this.searchAborted) {
+        return result;
+      }
+      
+      // Widen the side the score fell out of, from the bound the search
+      // returned; past the largest window search without one
+      delta *= 2;
+      if (result.score <= alpha) {
+        alpha = delta > ASPIRATION_MAX_WINDOW ? -INFINITY : Math.max(result.score - delta, -INFINITY);
+      } else if (result.score >= beta) {
+        beta = delta > ASPIRATION_MAX_WINDOW ? INFINITY : Math.min(result.score + delta, INFINITY);
+      } else {
+        return result;
+      }
+    }
+  }
+  
+  /**
+   * Get the legal moves to search at the root, restricted to searchMoves if set
+   * @returns {Array} - Legal moves (all of them if none of searchMoves is legal)
    */
-  rootAlphaBeta(depth, alpha, beta) {
+  getRootMoves() {
     const moves = this.board.getLegalMoves();
+    if (!this.searchMoves) {
+      return moves;
+    }
+    
+    const allowed = moves.filter(move => this.searchMoves.includes(this.board.moveToUci(move)));
+    return allowed.length > 0 ? allowed : moves;
+  }
+  
+  /**
+   * Root alpha-beta search
+   */
+  rootAlphaBeta(depth, alpha, beta, excluded = []) {
+    const moves = this.getRootMoves().filter(move => !excluded.some(other =>
+      other.from === move.from && other.to === move.to && other.promotion === move.promotion));
+    
+    // The best move of the previous iteration (or aspiration window) goes
+    // first: the null windows of PVS pay off when the first move is best
+    const previousBest = this.pvLength[0] > 0 ? this.pvTable[0][0] : null;
+    this.pvLength[0] = 0;
     
     // Handle special cases (no legal moves)
     if (moves.length === 0) {
@@ -417,17 +1064,27 @@ class ChessEngine2 {
       return { score: 0, move: null }; // Stalemate
     }
     
-    this.orderMoves(moves);
+    this.orderMoves(moves, previousBest);
     
     let bestScore = -INFINITY;
     let bestMove = null;
     
     // Try each move
-    for (const move of moves) {
+    for (let i = 0; i < moves.length; i++) {
+      const move = moves[i];
+      
+      // Long searches tell the GUI which root move is being looked at
+      if (this.onInfo && Date.now() - this.startTime > CURRMOVE_INFO_DELAY) {
+        this.onInfo({ depth, currmove: this.board.moveToUci(move), currmovenumber: i + 1 });
+      }
+      
+      this.searchStack[0] = move;
       this.board.makeMove(move);
       
       // Get score (negated because we're alternating sides)
-      const score = -this.alphaBeta(depth - 1, -beta, -alpha, 1);
+      const score = i === 0
+        ? -this.alphaBeta(depth - 1, -beta, -alpha, 1, true)
+        : this.searchLaterMove(depth, alpha, beta, 0, true);
       
       this.board.undoMove();
       
@@ -440,11 +1097,17 @@ class ChessEngine2 {
       if (score > bestScore) {
         bestScore = score;
         bestMove = move;
+        this.updatePrincipalVariation(0, move);
         
         // Update alpha (for pruning)
         if (score > alpha) {
           alpha = score;
         }
+        
+        // Fail high: only possible with an aspiration window, which is widened and searched again
+        if (alpha >= beta) {
+          break;
+        }
       }
     }
     
@@ -453,79 +1116,148 @@ class ChessEngine2 {
   
   /**
    * Alpha-beta search with pruning
+   * @param {number} depth - Remaining depth
+   * @param {number} alpha - Alpha
+   * @param {number} beta - Beta
+   * @param {number} ply - Distance from the root
+   * @param {boolean} pvNode - True on the principal variation (the first move of every PV node, and moves searched again after beating it), where nothing is pruned
+   * @returns {number} - Score from the side to move's perspective
    */
-  alphaBeta(depth, alpha, beta, ply) {
+  alphaBeta(depth, alpha, beta, ply, pvNode = false) {
     // Periodically check for time
     this.checkTime();
     
-    // Base case - evaluate position
-    if (depth <= 0) {
-      return this.quiescenceSearch(alpha, beta);
+    // The principal variation from this node is empty until a move raises alpha
+    this.pvLength[ply] = ply;
+    
+    // Check extension: look one ply further when in check, so the search
+    // does not end in the middle of a forcing sequence
+    const inCheck = this.board.isInCheck(this.board.turn);
+    if (inCheck && this.features.checkExtensions) {
+      depth++;
+    }
+    
+    // Check for draws, also at the leaves: a repetition is a draw whatever
+    // the static evaluation says
+    if (this.isDraw() || this.isRepetition(ply)) {
+      return this.drawScore(ply);
     }
     
-    // Check for draws
-    if (this.isDraw()) {
-      return 0;
+    // Base case - evaluate position
+    if (depth <= 0 || ply >= MAX_PLY - 1) {
+      return this.quiescenceSearch(alpha, beta, ply);
     }
     
-    // Check transposition table
-    const ttEntry = this.transpositionTable.lookup(this.board.toFen());
-    if (ttEntry && ttEntry.depth >= depth) {
+    const originalAlpha = alpha;
+    
+    // Check transposition table; nodes with a full window search on, since a
+    // cutoff would leave their principal variation (and the ponder move) cut short
+    const ttEntry = this.transpositionTable.lookup(this.board.hashLo, this.board.hashHi);
+    if (ttEntry && ttEntry.depth >= depth && !pvNode && beta - alpha === 1) {
+      const ttValue = valueFromTt(ttEntry.value, ply);
       if (ttEntry.flag === TT_EXACT) {
-        return ttEntry.value;
-      } else if (ttEntry.flag === TT_ALPHA && ttEntry.value <= alpha) {
-        return alpha;
-      } else if (ttEntry.flag === TT_BETA && ttEntry.value >= beta) {
-        return beta;
+        return ttValue;
+      } else if (ttEntry.flag === TT_ALPHA && ttValue <= alpha) {
+        return ttValue;
+      } else if (ttEntry.flag === TT_BETA && ttValue >= beta) {
+        return ttValue;
       }
     }
     
-    const moves = this.board.getLegalMoves();
+    // Pruning by the static evaluation, only off the principal variation,
+    // outside of check and away from mate scores (whether or not PVS gave
+    // the node a null window, so each technique can be measured on its own)
+    const canPrune = !pvNode && !inCheck && Math.abs(beta) < MATE_THRESHOLD;
+    const staticEval = canPrune ? this.evaluatePosition() : 0;
     
-    // No legal moves
-    if (moves.length === 0) {
-      if (this.board.isInCheck(this.board.turn)) {
-        return -MATE_VALUE + ply; // Checkmate
+    // Reverse futility pruning: so far above beta that no move will drop below it
+    if (canPrune && this.features.reverseFutility && depth <= REVERSE_FUTILITY_DEPTH &&
+        staticEval - REVERSE_FUTILITY_MARGIN * depth >= beta) {
+      return staticEval;
+    }
+    
+    // Razoring: so far below alpha that only captures might get back to it
+    if (canPrune && this.features.razoring && depth < RAZOR_MARGINS.length &&
+        staticEval + RAZOR_MARGINS[depth] <= alpha) {
+      if (depth === 1) {
+        return this.quiescenceSearch(alpha, beta, ply);
+      }
+      const razorAlpha = alpha - RAZOR_MARGINS[depth];
+      const score = this.quiescenceSearch(razorAlpha, razorAlpha + 1, ply);
+      if (score <= razorAlpha) {
+        return score;
       }
-      return 0; // Stalemate
     }
     
-    // Try null move pruning (skip a turn if not in check)
-    if (depth >= 3 && !this.board.isInCheck(this.board.turn) && this.hasNonPawnMaterial()) {
+    // Try null move pruning (skip a turn if not in check), off the principal
+    // variation and away from mate scores like the pruning above
+    if (this.features.nullMove && !pvNode && depth >= 3 && !inCheck && Math.abs(beta) < MATE_THRESHOLD &&
+        this.hasNonPawnMaterial()) {
+      this.searchStack[ply] = null;
       this.makeNullMove();
       const nullScore = -this.alphaBeta(depth - 3, -beta, -beta + 1, ply + 1);
       this.undoNullMove();
       
+      // Mate scores found after passing are not real mates
       if (nullScore >= beta) {
-        return beta;
+        return nullScore > MATE_THRESHOLD ? beta : nullScore;
       }
     }
     
-    // Order moves for better pruning
-    this.orderMoves(moves, ttEntry ? ttEntry.bestMove : null, ply);
+    // Quiet moves that cannot raise alpha near the leaves are skipped:
+    // futility pruning by the static evaluation, late move pruning by count
+    const futilityValue = depth < FUTILITY_MARGINS.length ? staticEval + FUTILITY_MARGINS[depth] : INFINITY;
+    const futilityPruning = canPrune && this.features.futility && futilityValue <= alpha;
+    const lateMovePruning = canPrune && this.features.lateMovePruning && depth < LATE_MOVE_COUNTS.length;
+    
+    // Moves come in stages, best first, so a cutoff skips generating the rest
+    const picker = new MovePicker(this, ttEntry ? ttEntry.bestMove : null, ply);
     
     let bestScore = -INFINITY;
     let bestMove = null;
     let movesSearched = 0;
+    const quietsTried = []; // Quiet moves searched so far, for late move pruning and history maluses
     
     // Try each move
-    for (const move of moves) {
+    let move;
+    while ((move = picker.next())) {
+      const quiet = move.captured === EMPTY && move.promotion === EMPTY;
+      
+      this.searchStack[ply] = move;
       this.board.makeMove(move);
+      const givesCheck = this.board.isInCheck(this.board.turn);
+      
+      // The first move is always searched, so a node never looks like mate
+      if (movesSearched > 0 && quiet && !givesCheck) {
+        if (futilityPruning) {
+          bestScore = Math.max(bestScore, futilityValue);
+          this.board.undoMove();
+          continue;
+        }
+        if (lateMovePruning && quietsTried.length >= LATE_MOVE_COUNTS[depth]) {
+          this.board.undoMove();
+          continue;
+        }
+      }
       
-      // Apply Late Move Reduction for quiet moves after we've searched 4+ moves
+      // Apply Late Move Reduction for quiet moves after the first few
       let score;
-      if (movesSearched >= 4 && depth >= 3 && !this.board.isInCheck(this.board.turn) && 
-          move.captured === EMPTY && move.promotion === EMPTY) {
+      const reduction = movesSearched >= LMR_MIN_MOVES && depth >= 3 && quiet && !givesCheck
+        ? this.lateMoveReduction(depth, movesSearched + 1, pvNode)
+        : 0;
+      if (reduction > 0) {
         // Search with reduced depth first
-        score = -this.alphaBeta(depth - 2, -alpha - 1, -alpha, ply + 1);
+        score = -this.alphaBeta(depth - 1 - reduction, -alpha - 1, -alpha, ply + 1);
         
         // If the score is promising, re-search at full depth
         if (score > alpha) {
-          score = -this.alphaBeta(depth - 1, -beta, -alpha, ply + 1);
+          score = this.searchLaterMove(depth, alpha, beta, ply, pvNode);
         }
+      } else if (movesSearched > 0) {
+        score = this.searchLaterMove(depth, alpha, beta, ply, pvNode);
       } else {
         // Normal search
-        score = -this.alphaBeta(depth - 1, -beta, -alpha, ply + 1);
+        score = -this.alphaBeta(depth - 1, -beta, -alpha, ply + 1, pvNode);
       }
       
       this.board.undoMove();
@@ -545,28 +1277,39 @@ class ChessEngine2 {
         // Update alpha (for pruning)
         if (score > alpha) {
           alpha = score;
+          this.updatePrincipalVariation(ply, move);
           
           // Beta cutoff
           if (alpha >= beta) {
-            // Record killer moves and update history for quiet moves
-            if (move.captured === EMPTY) {
-              this.recordKillerMove(move, ply);
-              this.historyTable.update(move.from, move.to, depth);
+            // Update killers, counter moves and history for quiet moves
+            if (quiet) {
+              this.updateQuietStats(move, quietsTried, depth, ply);
             }
             break;
           }
         }
       }
+      
+      if (quiet) {
+        quietsTried.push(move);
+      }
     }
     
-    // Store the position in the transposition table
-    const flag = bestScore <= alpha ? TT_ALPHA : 
+    // No legal moves
+    if (movesSearched === 0) {
+      return inCheck ? -MATE_VALUE + ply : this.drawScore(ply); // Checkmate or stalemate
+    }
+    
+    // Store the position in the transposition table (alpha has been raised
+    // to the best score by now, so compare with the window we were given)
+    const flag = bestScore <= originalAlpha ? TT_ALPHA : 
                 bestScore >= beta ? TT_BETA : TT_EXACT;
     
     this.transpositionTable.store(
-      this.board.toFen(), 
+      this.board.hashLo,
+      this.board.hashHi,
       depth, 
-      bestScore, 
+      valueToTt(bestScore, ply), 
       flag, 
       bestMove
     );
@@ -575,35 +1318,139 @@ class ChessEngine2 {
   }
   
   /**
-   * Quiescence search to resolve tactical positions
+   * How many plies to reduce a late quiet move by
+   * @param {number} depth - Remaining depth of the node
+   * @param {number} moveNumber - Number of the move among those searched, starting at 1
+   * @param {boolean} pvNode - True on the principal variation, which is reduced less
+   * @returns {number} - Reduction in plies, leaving at least one ply to search
+   */
+  lateMoveReduction(depth, moveNumber, pvNode) {
+    if (!this.features.lmrTable) {
+      return 1;
+    }
+    
+    let reduction = LMR_TABLE[Math.min(depth, MAX_PLY - 1)][Math.min(moveNumber, 63)];
+    if (pvNode) {
+      reduction--;
+    }
+    return Math.max(0, Math.min(reduction, depth - 2));
+  }
+  
+  /**
+   * Principal Variation Search: once the first move has set the score to
+   * beat, later moves are only searched to prove that they are worse, with a
+   * null window, which is cheaper. A move that fails high is searched again
+   * with the full window to get its exact score.
+   * @param {number} depth - Depth of the node the move was made from
+   * @param {number} alpha - Alpha of that node
+   * @param {number} beta - Beta of that node
+   * @param {number} ply - Ply of that node
+   * @param {boolean} pvNode - Whether that node is on the principal variation
+   * @returns {number} - Score of the move, from that node's side to move
+   */
+  searchLaterMove(depth, alpha, beta, ply, pvNode) {
+    if (!this.features.pvs) {
+      return -this.alphaBeta(depth - 1, -beta, -alpha, ply + 1, pvNode);
+    }
+    
+    let score = -this.alphaBeta(depth - 1, -alpha - 1, -alpha, ply + 1);
+    if (score > alpha && score < beta) {
+      score = -this.alphaBeta(depth - 1, -beta, -alpha, ply + 1, pvNode);
+    }
+    return score;
+  }
+  
+  /**
+   * Quiescence search to resolve tactical positions: captures, queen
+   * promotions and (optionally, on its first ply) quiet checks, or every
+   * evasion when in check
+   * @param {number} alpha - Alpha
+   * @param {number} beta - Beta
+   * @param {number} ply - Distance from the root
+   * @param {number} qsDepth - Plies searched in quiescence search so far
+   * @returns {number} - Score from the side to move's perspective
    */
-  quiescenceSearch(alpha, beta) {
-    this.evaluations++;
+  quiescenceSearch(alpha, beta, ply = 0, qsDepth = 0) {
     this.checkTime();
+    this.selDepth = Math.max(this.selDepth, ply);
     
-    // Get static evaluation
-    const standPat = this.evaluatePosition();
+    if (ply >= MAX_PLY - 1) {
+      return this.evaluatePosition();
+    }
     
-    // Return immediately if score exceeds beta
-    if (standPat >= beta) {
-      return beta;
+    // Check transposition table: any stored result is at least as deep
+    const ttEntry = this.transpositionTable.lookup(this.board.hashLo, this.board.hashHi);
+    if (ttEntry) {
+      const ttValue = valueFromTt(ttEntry.value, ply);
+      if (ttEntry.flag === TT_EXACT ||
+          (ttEntry.flag === TT_ALPHA && ttValue <= alpha) ||
+          (ttEntry.flag === TT_BETA && ttValue >= beta)) {
+        return ttValue;
+      }
     }
     
-    // Update alpha if score is better
-    if (standPat > alpha) {
-      alpha = standPat;
+    // In check there is no standing pat: every evasion is searched, and
+    // without one it is mate
+    const inCheck = this.board.isInCheck(this.board.turn);
+    const originalAlpha = alpha;
+    let standPat = -INFINITY;
+    let bestScore = -MATE_VALUE + ply;
+    
+    if (!inCheck) {
+      // Get static evaluation
+      this.evaluations++;
+      standPat = this.evaluatePosition();
+      
+      // Return immediately if score exceeds beta
+      if (standPat >= beta) {
+        return standPat;
+      }
+      
+      // Update alpha if score is better
+      bestScore = standPat;
+      if (standPat > alpha) {
+        alpha = standPat;
+      }
     }
     
-    // Get all captures
-    const moves = this.board.getLegalMoves().filter(move => move.captured !== EMPTY);
-    this.orderMoves(moves);
+    // Captures best first (captures losing material are pruned), or evasions;
+    // then queen promotions and checks, generated once the captures are done
+    const picker = new MovePicker(this, ttEntry ? ttEntry.bestMove : null, ply, !inCheck);
+    let quiets = null;
+    let quietIndex = 0;
+    let bestMove = null;
     
-    // Try each capture
-    for (const move of moves) {
+    for (;;) {
+      let move = picker.next();
+      if (!move && !inCheck) {
+        if (quiets === null) {
+          quiets = this.quiescenceQuiets(qsDepth);
+        }
+        move = quietIndex < quiets.length ? quiets[quietIndex++] : null;
+      }
+      if (!move) {
+        break;
+      }
+      
+      // Delta pruning: skip captures that cannot get back to alpha even
+      // with the captured piece and a margin
+      if (!inCheck && this.features.deltaPruning && move.captured !== EMPTY && move.promotion === EMPTY &&
+          standPat + PIECE_VALUES[move.captured & PIECE_MASK] + DELTA_MARGIN <= alpha) {
+        continue;
+      }
+      
+      // Deeper nodes order their moves by this one (counter move and continuation history)
+      this.searchStack[ply] = move;
       this.board.makeMove(move);
       
-      // Evaluate after capture (negated)
-      const score = -this.quiescenceSearch(-beta, -alpha);
+      // Quiet moves other than promotions only qualify if they give check
+      if (!inCheck && move.captured === EMPTY && move.promotion === EMPTY &&
+          !this.board.isInCheck(this.board.turn)) {
+        this.board.undoMove();
+        continue;
+      }
+      
+      const score = -this.quiescenceSearch(-beta, -alpha, ply + 1, qsDepth + 1);
       
       this.board.undoMove();
       
@@ -613,17 +1460,55 @@ class ChessEngine2 {
       }
       
       // Update alpha if score is better
-      if (score > alpha) {
-        alpha = score;
+      if (score > bestScore) {
+        bestScore = score;
+        bestMove = move;
         
-        // Beta cutoff
-        if (alpha >= beta) {
-          break;
+        if (score > alpha) {
+          alpha = score;
+          
+          // Beta cutoff
+          if (alpha >= beta) {
+            break;
+          }
         }
       }
     }
     
-    return alpha;
+    const flag = bestScore <= originalAlpha ? TT_ALPHA :
+                bestScore >= beta ? TT_BETA : TT_EXACT;
+    this.transpositionTable.store(this.board.hashLo, this.board.hashHi, 0, valueToTt(bestScore, ply), flag, bestMove);
+    
+    return bestScore;
+  }
+  
+  /**
+   * Quiet moves searched by quiescence search after the captures: queen
+   * promotions, and on the first ply (with the qsearchChecks feature) every
+   * quiet move, to be kept only if it gives check
+   * @param {number} qsDepth - Plies searched in quiescence search so far
+   * @returns {Array} - Promotions first, then the quiet moves
+   */
+  quiescenceQuiets(qsDepth) {
+    const checks = this.features.qsearchChecks && qsDepth === 0;
+    
+    // Skip generating quiet moves when no pawn is about to promote
+    const us = this.board.turn;
+    const seventhRank = us === WHITE ? 48 : 8;
+    let promoting = false;
+    for (let square = seventhRank; square < seventhRank + 8; square++) {
+      if (this.board.squares[square] === (PAWN | us)) {
+        promoting = true;
+        break;
+      }
+    }
+    if (!promoting && !checks) {
+      return [];
+    }
+    
+    const quiets = this.board.generateQuiets();
+    const promotions = quiets.filter(move => move.promotion === QUEEN);
+    return checks ? promotions.concat(quiets.filter(move => move.promotion === EMPTY)) : promotions;
   }
   
   /**
@@ -631,36 +1516,130 @@ class ChessEngine2 {
    */
   orderMoves(moves, ttMove = null, ply = 0) {
     moves.forEach(move => {
-      let score = 0;
+      move.score = this.scoreMove(move, ttMove, ply);
+    });
+    
+    // Sort by score (highest first)
+    moves.sort((a, b) => b.score - a.score);
+  }
+  
+  /**
+   * Score a move for move ordering (higher is tried first)
+   */
+  scoreMove(move, ttMove = null, ply = 0) {
+    // TT move gets highest priority
+    if (ttMove && move.from === ttMove.from && move.to === ttMove.to) {
+      return 2000000;
+    }
+    // Captures using MVV-LVA (Most Valuable Victim - Least Valuable Attacker),
+    // with captures that lose material after all recaptures ordered last
+    if (move.captured !== EMPTY) {
+      const capturedType = move.captured & PIECE_MASK;
+      const attackerType = move.piece & PIECE_MASK;
+      const mvvLva = 10 * PIECE_VALUES[capturedType] - PIECE_VALUES[attackerType];
       
-      // TT move gets highest priority
-      if (ttMove && move.from === ttMove.from && move.to === ttMove.to) {
-        score = 2000000;
+      // Taking an equal or bigger piece never loses material, so skip the exchange evaluation
+      if (PIECE_VALUES[capturedType] >= PIECE_VALUES[attackerType] || this.board.see(move) >= 0) {
+        return 1000000 + mvvLva;
       }
-      // Captures using MVV-LVA (Most Valuable Victim - Least Valuable Attacker)
-      else if (move.captured !== EMPTY) {
-        const capturedType = move.captured & PIECE_MASK;
-        const attackerType = move.piece & PIECE_MASK;
-        score = 1000000 + 10 * PIECE_VALUES[capturedType] - PIECE_VALUES[attackerType];
-      }
-      // Promotions
-      else if (move.promotion !== EMPTY) {
-        score = 900000 + PIECE_VALUES[move.promotion];
-      }
-      // Killer moves (moves that caused beta cutoffs)
-      else if (this.isKillerMove(move, ply)) {
-        score = 800000;
+      return -1000000 + mvvLva;
+    }
+    // Promotions
+    if (move.promotion !== EMPTY) {
+      return 900000 + PIECE_VALUES[move.promotion];
+    }
+    // Killer moves (moves that caused beta cutoffs)
+    if (this.isKillerMove(move, ply)) {
+      return 800000;
+    }
+    // Counter move (the best reply to the opponent's last move)
+    const counter = this.getCounterMove(ply);
+    if (counter && move.from === counter.from && move.to === counter.to) {
+      return 700000;
+    }
+    // History heuristic (moves that were good in similar positions, and
+    // after the same previous moves)
+    return this.quietHistory(move, ply);
+  }
+  
+  /**
+   * Get the move made a number of plies before a node in the current line
+   * @param {number} ply - Ply of the node
+   * @param {number} back - 1 for the opponent's last move, 2 for our own
+   * @returns {Object|null} - The move, or null before the root or after a null move
+   */
+  previousMove(ply, back) {
+    return ply >= back ? this.searchStack[ply - back] : null;
+  }
+  
+  /**
+   * Get the counter move stored for the opponent's last move
+   * @param {number} ply - Ply of the node
+   * @returns {Object|null} - The move, or null
+   */
+  getCounterMove(ply) {
+    const previous = this.previousMove(ply, 1);
+    return previous ? this.counterMoves[pieceToIndex(previous)] : null;
+  }
+  
+  /**
+   * History score of a quiet move: its from/to history plus its continuation
+   * history after the previous two moves
+   * @param {Object} move - The move
+   * @param {number} ply - Ply of the node
+   * @returns {number} - Score
+   */
+  quietHistory(move, ply) {
+    let score = this.historyTable.get(move.from * 64 + move.to);
+    const index = pieceToIndex(move);
+    for (let back = 1; back <= 2; back++) {
+      const previous = this.previousMove(ply, back);
+      if (previous) {
+        score += this.continuationHistory[back - 1].get(pieceToIndex(previous) * PIECE_TO_SIZE + index);
       }
-      // History heuristic (moves that were good in similar positions)
-      else {
-        score = this.historyTable.get(move.from, move.to);
+    }
+    return score;
+  }
+  
+  /**
+   * Add a bonus or malus to every history score of a quiet move
+   * @param {Object} move - The move
+   * @param {number} ply - Ply of the node
+   * @param {number} bonus - Amount to add (negative for a malus)
+   */
+  updateQuietHistory(move, ply, bonus) {
+    this.historyTable.update(move.from * 64 + move.to, bonus);
+    const index = pieceToIndex(move);
+    for (let back = 1; back <= 2; back++) {
+      const previous = this.previousMove(ply, back);
+      if (previous) {
+        this.continuationHistory[back - 1].update(pieceToIndex(previous) * PIECE_TO_SIZE + index, bonus);
       }
-      
-      move.score = score;
-    });
+    }
+  }
+  
+  /**
+   * Learn from a quiet move that caused a beta cutoff: it becomes a killer
+   * and the counter move to the opponent's last move, and its history scores
+   * rise while those of the quiet moves tried before it fall
+   * @param {Object} move - The move
+   * @param {Array} quietsTried - Quiet moves searched at the node before it
+   * @param {number} depth - Remaining depth of the node
+   * @param {number} ply - Ply of the node
+   */
+  updateQuietStats(move, quietsTried, depth, ply) {
+    this.recordKillerMove(move, ply);
     
-    // Sort by score (highest first)
-    moves.sort((a, b) => b.score - a.score);
+    const previous = this.previousMove(ply, 1);
+    if (previous) {
+      this.counterMoves[pieceToIndex(previous)] = move;
+    }
+    
+    const bonus = Math.min(16 * depth * depth, HISTORY_BONUS_MAX);
+    this.updateQuietHistory(move, ply, bonus);
+    for (const other of quietsTried) {
+      this.updateQuietHistory(other, ply, -bonus);
+    }
   }
   
   /**
@@ -702,19 +1681,14 @@ class ChessEngine2 {
    * Make a null move (pass the turn)
    */
   makeNullMove() {
-    // Switch sides
-    this.board.turn = this.board.turn === WHITE ? BLACK : WHITE;
-    
-    // Clear en passant square
-    this.board.enPassantSquare = -1;
+    this.board.makeNullMove();
   }
   
   /**
    * Undo a null move
    */
   undoNullMove() {
-    // Switch back
-    this.board.turn = this.board.turn === WHITE ? BLACK : WHITE;
+    this.board.undoNullMove();
   }
   
   /**
@@ -737,117 +1711,120 @@ class ChessEngine2 {
   }
   
   /**
-   * Check for draw conditions (3-fold repetition, 50-move rule, insufficient material)
+   * Check for draw conditions the search treats as final (50-move rule,
+   * insufficient material). Repetitions are checked by isRepetition().
    */
   isDraw() {
     // 50-move rule
-    if (this.board.halfMoveClock >= 100) {
+    if (this.board.halfMoveClock >= FIFTY_MOVE_CLOCK) {
       return true;
     }
     
-    // Insufficient material
-    // Count pieces
-    let whitePieces = { [PAWN]: 0, [KNIGHT]: 0, [BISHOP]: 0, [ROOK]: 0, [QUEEN]: 0 };
-    let blackPieces = { [PAWN]: 0, [KNIGHT]: 0, [BISHOP]: 0, [ROOK]: 0, [QUEEN]: 0 };
-    let whiteBishopSquareColor = -1;
-    let blackBishopSquareColor = -1;
-    
-    for (let square = 0; square < 64; square++) {
-      const piece = this.board.squares[square];
-      if (piece === EMPTY) continue;
-      
-      const pieceType = piece & PIECE_MASK;
-      const pieceColor = piece & COLOR_MASK;
-      
-      if (pieceType === KING) continue; // Kings are always present
-      
-      if (pieceColor === WHITE) {
-        whitePieces[pieceType]++;
-        
-        // Track color of bishop (light/dark square)
-        if (pieceType === BISHOP) {
-          const squareColor = (Math.floor(square / 8) + square % 8) % 2;
-          whiteBishopSquareColor = squareColor;
-        }
-      } else {
-        blackPieces[pieceType]++;
-        
-        // Track color of bishop (light/dark square)
-        if (pieceType === BISHOP) {
-          const squareColor = (Math.floor(square / 8) + square % 8) % 2;
-          blackBishopSquareColor = squareColor;
-        }
+    // Insufficient material (positions where no sequence of moves can mate)
+    return this.board.getInsufficientMaterial() === 'automatic';
+  }
+  
+  /**
+   * Check whether the current position repeats an earlier one: once since
+   * the root (whoever can repeat it once can repeat it again), or twice
+   * before it in the game history, which makes a threefold repetition
+   * @param {number} ply - Distance from the root
+   * @returns {boolean} - True if the position counts as a draw
+   */
+  isRepetition(ply) {
+    const history = this.board.history;
+    const n = history.length;
+    
+    // Only positions since the last capture or pawn move can repeat; null
+    // moves are not in the move history, so the search line ends at the last one
+    let limit = Math.min(this.board.halfMoveClock, n);
+    for (let p = ply - 1; p >= 0; p--) {
+      if (this.searchStack[p] === null) {
+        limit = Math.min(limit, ply - 1 - p);
+        break;
       }
     }
     
-    // King vs King
-    if (Object.values(whitePieces).every(count => count === 0) && 
-        Object.values(blackPieces).every(count => count === 0)) {
-      return true;
-    }
-    
-    // King + Bishop vs King
-    if (Object.values(whitePieces).reduce((sum, count) => sum + count, 0) === 1 && 
-        whitePieces[BISHOP] === 1 && 
-        Object.values(blackPieces).every(count => count === 0)) {
-      return true;
-    }
-    
-    if (Object.values(blackPieces).reduce((sum, count) => sum + count, 0) === 1 && 
-        blackPieces[BISHOP] === 1 && 
-        Object.values(whitePieces).every(count => count === 0)) {
-      return true;
-    }
-    
-    // King + Knight vs King
-    if (Object.values(whitePieces).reduce((sum, count) => sum + count, 0) === 1 && 
-        whitePieces[KNIGHT] === 1 && 
-        Object.values(blackPieces).every(count => count === 0)) {
-      return true;
-    }
-    
-    if (Object.values(blackPieces).reduce((sum, count) => sum + count, 0) === 1 && 
-        blackPieces[KNIGHT] === 1 && 
-        Object.values(whitePieces).every(count => count === 0)) {
-      return true;
-    }
-    
-    // King + Bishop vs King + Bishop (same colored bishops)
-    if (whitePieces[BISHOP] === 1 && blackPieces[BISHOP] === 1 &&
-        whiteBishopSquareColor === blackBishopSquareColor &&
-        whitePieces[PAWN] === 0 && whitePieces[KNIGHT] === 0 && 
-        whitePieces[ROOK] === 0 && whitePieces[QUEEN] === 0 &&
-        blackPieces[PAWN] === 0 && blackPieces[KNIGHT] === 0 && 
-        blackPieces[ROOK] === 0 && blackPieces[QUEEN] === 0) {
-      return true;
+    // A position takes at least four plies to come back, with the same side to move
+    let count = 0;
+    for (let i = 4; i <= limit; i += 2) {
+      const entry = history[n - i];
+      if (entry.hashLo === this.board.hashLo && entry.hashHi === this.board.hashHi) {
+        if (i < ply || ++count >= 2) {
+          return true;
+        }
+      }
     }
     
     return false;
   }
   
+  /**
+   * Score of a draw for the side to move: contempt makes a draw worse than
+   * equality for the side to move at the root, and better for the opponent
+   * @param {number} ply - Distance from the root
+   * @returns {number} - The draw score
+   */
+  drawScore(ply) {
+    return ply % 2 === 0 ? -this.contempt : this.contempt;
+  }
+  
   /**
    * Check if we've exceeded our time limit
    */
   checkTime() {
     this.nodesSearched++;
     
+    // Fixed node budget ("go nodes")
+    if (this.nodesSearched >= this.nodeLimit) {
+      this.searchAborted = true;
+    }
+    
     // Only check time periodically to avoid frequent Date.now() calls
     if (this.nodesSearched % this.timeCheckInterval === 0) {
-      if (Date.now() - this.startTime > this.timeLimit) {
+      if (this.threadNodes) {
+        this.threadNodes[this.threadIndex] = this.nodesSearched;
+      }
+      
+      // Stop or ponderhit from another thread
+      const signal = this.stopSignal ? Atomics.load(this.stopSignal, 0) : SIGNAL_SEARCH;
+      if (signal === SIGNAL_STOP) {
+        this.searchAborted = true;
+      } else if (signal === SIGNAL_PONDERHIT && this.pondering) {
+        this.ponderHit();
+      }
+      
+      if (!this.pondering && Date.now() - this.clockStartTime > this.timeLimit) {
         this.searchAborted = true;
       }
     }
   }
   
   /**
-   * Evaluate the current position
+   * Turn the ponder search into a normal search: our clock starts now, and
+   * the time limits apply from here on
+   */
+  ponderHit() {
+    this.pondering = false;
+    this.clockStartTime = Date.now();
+  }
+  
+  /**
+   * Evaluate the current position. Every positional term has a middlegame and
+   * an endgame weight; the two totals are blended by how much material is
+   * left on the board (tapered evaluation).
+   * @returns {number} - Score in centipawns from the side to move's perspective
    */
   evaluatePosition() {
     const us = this.board.turn;
-    const them = us === WHITE ? BLACK : WHITE;
     
-    // Initialize score
-    let score = 0;
+    // Middlegame and endgame scores, from white's perspective
+    let mg = 0;
+    let eg = 0;
+    const add = (bonus, count) => { // count is negative for black
+      mg += count * bonus.mg;
+      eg += count * bonus.eg;
+    };
     
     // Material count and piece positions
     let whiteMaterial = 0;
@@ -855,7 +1832,7 @@ class ChessEngine2 {
     let whitePieceCount = { [PAWN]: 0, [KNIGHT]: 0, [BISHOP]: 0, [ROOK]: 0, [QUEEN]: 0 };
     let blackPieceCount = { [PAWN]: 0, [KNIGHT]: 0, [BISHOP]: 0, [ROOK]: 0, [QUEEN]: 0 };
     
-    // For tapered eval (phase calculation)
+    // Game phase: 0 with all pieces on the board, TOTAL_PHASE with only kings and pawns
     let phase = TOTAL_PHASE;
     
     // Collect pawn positions for structure analysis
@@ -921,33 +1898,23 @@ class ChessEngine2 {
         }
       }
       
-      // Apply piece-square tables
-      // Get square index from white's perspective
-      const whiteOrientedSquare = pieceColor === WHITE ? square : (63 - square);
-      
-      // Get midgame and endgame values
-      const mgValue = MG_TABLES[pieceType][whiteOrientedSquare];
-      const egValue = EG_TABLES[pieceType][whiteOrientedSquare];
-      
-      if (pieceColor === WHITE) {
-        score += mgValue;
-      } else {
-        score -= mgValue;
-      }
+      // Apply piece-square tables. The tables list rank 8 first, so flip the
+      // rank for white; for black, square order already matches that layout.
+      const tableSquare = pieceColor === WHITE ? (square ^ 56) : square;
+      const sign = pieceColor === WHITE ? 1 : -1;
+      mg += sign * MG_TABLES[pieceType][tableSquare];
+      eg += sign * EG_TABLES[pieceType][tableSquare];
     }
     
     // Bishop pair bonus
-    if (whitePieceCount[BISHOP] >= 2) score += BISHOP_PAIR_BONUS;
-    if (blackPieceCount[BISHOP] >= 2) score -= BISHOP_PAIR_BONUS;
-    
-    // Material score
-    score += whiteMaterial - blackMaterial;
+    if (whitePieceCount[BISHOP] >= 2) add(BISHOP_PAIR_BONUS, 1);
+    if (blackPieceCount[BISHOP] >= 2) add(BISHOP_PAIR_BONUS, -1);
     
     // Pawn structure evaluation
     for (let file = 0; file < 8; file++) {
       // Doubled pawns
-      if (whitePawnsPerFile[file] > 1) score += DOUBLED_PAWN_PENALTY * whitePawnsPerFile[file];
-      if (blackPawnsPerFile[file] > 1) score -= DOUBLED_PAWN_PENALTY * blackPawnsPerFile[file];
+      if (whitePawnsPerFile[file] > 1) add(DOUBLED_PAWN_PENALTY, whitePawnsPerFile[file]);
+      if (blackPawnsPerFile[file] > 1) add(DOUBLED_PAWN_PENALTY, -blackPawnsPerFile[file]);
       
       // Isolated pawns
       const whiteIsolated = whitePawnsPerFile[file] > 0 && 
@@ -958,8 +1925,8 @@ class ChessEngine2 {
                            (file === 0 || blackPawnsPerFile[file - 1] === 0) && 
                            (file === 7 || blackPawnsPerFile[file + 1] === 0);
       
-      if (whiteIsolated) score += ISOLATED_PAWN_PENALTY;
-      if (blackIsolated) score -= ISOLATED_PAWN_PENALTY;
+      if (whiteIsolated) add(ISOLATED_PAWN_PENALTY, 1);
+      if (blackIsolated) add(ISOLATED_PAWN_PENALTY, -1);
     }
     
     // Detect passed pawns
@@ -981,7 +1948,8 @@ class ChessEngine2 {
       }
       
       if (isPassed) {
-        score += PASSED_PAWN_BONUS[rank];
+        mg += PASSED_PAWN_BONUS.mg[rank];
+        eg += PASSED_PAWN_BONUS.eg[rank];
       }
     }
     
@@ -1003,7 +1971,8 @@ class ChessEngine2 {
       }
       
       if (isPassed) {
-        score -= PASSED_PAWN_BONUS[7 - rank];
+        mg -= PASSED_PAWN_BONUS.mg[7 - rank];
+        eg -= PASSED_PAWN_BONUS.eg[7 - rank];
       }
     }
     
@@ -1030,9 +1999,9 @@ class ChessEngine2 {
       }
       
       if (isOpen) {
-        score += ROOK_ON_OPEN_FILE_BONUS;
+        add(ROOK_ON_OPEN_FILE_BONUS, 1);
       } else if (isSemiOpen) {
-        score += ROOK_ON_SEMI_OPEN_FILE_BONUS;
+        add(ROOK_ON_SEMI_OPEN_FILE_BONUS, 1);
       }
     }
     
@@ -1058,36 +2027,42 @@ class ChessEngine2 {
       }
       
       if (isOpen) {
-        score -= ROOK_ON_OPEN_FILE_BONUS;
+        add(ROOK_ON_OPEN_FILE_BONUS, -1);
       } else if (isSemiOpen) {
-        score -= ROOK_ON_SEMI_OPEN_FILE_BONUS;
+        add(ROOK_ON_SEMI_OPEN_FILE_BONUS, -1);
       }
     }
     
     // Rook on 7th rank
     for (const square of whiteRookFiles.map(file => 6 * 8 + file)) {
       if (this.board.squares[square] === (ROOK | WHITE)) {
-        score += ROOK_ON_SEVENTH_BONUS;
+        add(ROOK_ON_SEVENTH_BONUS, 1);
       }
     }
     
     for (const square of blackRookFiles.map(file => 1 * 8 + file)) {
       if (this.board.squares[square] === (ROOK | BLACK)) {
-        score -= ROOK_ON_SEVENTH_BONUS;
+        add(ROOK_ON_SEVENTH_BONUS, -1);
       }
     }
     
-    // Mobility evaluation
-    this.board.turn = WHITE;
-    const whiteMoves = this.board.getLegalMoves();
+    // Mobility evaluation (pass the turn to count the opponent's moves)
+    const ourMoves = this.board.getLegalMoves();
+    
+    this.board.makeNullMove();
+    const theirMoves = this.board.getLegalMoves();
+    this.board.undoNullMove();
     
-    this.board.turn = BLACK;
-    const blackMoves = this.board.getLegalMoves();
+    const whiteMoves = us === WHITE ? ourMoves : theirMoves;
+    const blackMoves = us === WHITE ? theirMoves : ourMoves;
     
-    // Restore the original turn
-    this.board.turn = us;
+    add(MOBILITY_BONUS, whiteMoves.length - blackMoves.length);
     
-    score += MOBILITY_FACTOR * (whiteMoves.length - blackMoves.length);
+    // Blend the middlegame and endgame scores by game phase; promotions can
+    // push the phase below zero
+    phase = Math.max(phase, 0);
+    const score = whiteMaterial - blackMaterial +
+      Math.round((mg * (TOTAL_PHASE - phase) + eg * phase) / TOTAL_PHASE);
     
     // Convert the score to the current player's perspective
     return us === WHITE ? score : -score;
@@ -1095,3 +2070,8 @@ class ChessEngine2 {
 }
 
 module.exports = ChessEngine2;
+module.exports.SIGNAL_SEARCH = SIGNAL_SEARCH;
+module.exports.SIGNAL_STOP = SIGNAL_STOP;
+module.exports.SIGNAL_PONDERHIT = SIGNAL_PONDERHIT;
+module.exports.TranspositionTable = TranspositionTable;
+module.exports.SEARCH_FEATURES = SEARCH_FEATURES;
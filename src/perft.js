@@ -0,0 +1,303 @@
+/**
+ * Perft (performance test) - counts leaf nodes of the legal move tree to
+ * verify the move generator against known results
+ */
+
+const { BOARD_BACKENDS, createBoard } = require('./bitboard');
+
+// Well-known test positions with their node counts for depth 1, 2, ...
+const PERFT_SUITE = [
+  {
+    name: 'Start position',
+    fen: 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1',
+    nodes: [20, 400, 8902, 197281, 4865609, 119060324]
+  },
+  {
+    name: 'Kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1',
+    nodes: [48, 2039, 97862, 4085603, 193690690]
+  },
+  {
+    name: 'Position 3 (en passant, pins)',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1',
+    nodes: [14, 191, 2812, 43238, 674624, 11030083]
+  },
+  {
+    name: 'Position 4 (promotions, castling)',
+    fen: 'r3k2r/Pppp1ppp/1b3nbN/nP6/BBP1P3/q4N2/Pp1P2PP/R2Q1RK1 w kq - 0 1',
+    nodes: [6, 264, 9467, 422333, 15833292]
+  },
+  {
+    name: 'Position 4 mirrored',
+    fen: 'r2q1rk1/pP1p2pp/Q4n2/bbp1p3/Np6/1B3NBn/pPPP1PPP/R3K2R b KQ - 0 1',
+    nodes: [6, 264, 9467, 422333, 15833292]
+  },
+  {
+    name: 'Position 5',
+    fen: 'rnbq1k1r/pp1Pbppp/2p5/8/2B5/8/PPP1NnPP/RNBQK2R w KQ - 1 8',
+    nodes: [44, 1486, 62379, 2103487, 89941194]
+  },
+  {
+    name: 'Position 6',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10',
+    nodes: [46, 2079, 89890, 3894594, 164075551]
+  },
+  {
+    name: 'Illegal en passant (rank pin)',
+    fen: '3k4/3p4/8/K1P4r/8/8/8/8 b - - 0 1',
+    nodes: [18, 92, 1670, 10138, 185429, 1134888]
+  },
+  {
+    name: 'Illegal en passant (diagonal pin)',
+    fen: '8/8/4k3/8/2p5/8/B2P2K1/8 w - - 0 1',
+    nodes: [13, 102, 1266, 10276, 135655, 1015133]
+  },
+  {
+    name: 'En passant capture checks opponent',
+    fen: '8/8/1k6/2b5/2pP4/8/5K2/8 b - d3 0 1',
+    nodes: [15, 126, 1928, 13931, 206379, 1440467]
+  },
+  {
+    name: 'Short castling gives check',
+    fen: '5k2/8/8/8/8/8/8/4K2R w K - 0 1',
+    nodes: [15, 66, 1198, 6399, 120330, 661072]
+  },
+  {
+    name: 'Long castling gives check',
+    fen: '3k4/8/8/8/8/8/8/R3K3 w Q - 0 1',
+    nodes: [16, 71, 1286, 7418, 141077, 803711]
+  },
+  {
+    name: 'Castling rights lost by captures',
+    fen: 'r3k2r/1b4bq/8/8/8/8/7B/R3K2R w KQkq - 0 1',
+    nodes: [26, 1141, 27826, 1274206]
+  },
+  {
+    name: 'Castling through attacked squares',
+    fen: 'r3k2r/8/3Q4/8/8/5q2/8/R3K2R b KQkq - 0 1',
+    nodes: [44, 1494, 50509, 1720476]
+  },
+  {
+    name: 'Promote out of check',
+    fen: '2K2r2/4P3/8/8/8/8/8/3k4 w - - 0 1',
+    nodes: [11, 133, 1442, 19174, 266199, 3821001]
+  },
+  {
+    name: 'Discovered check',
+    fen: '8/8/1P2K3/8/2n5/1q6/8/5k2 b - - 0 1',
+    nodes: [29, 165, 5160, 31961, 1004658]
+  },
+  {
+    name: 'Promote to give check',
+    fen: '4k3/1P6/8/8/8/8/K7/8 w - - 0 1',
+    nodes: [9, 40, 472, 2661, 38983, 217342]
+  },
+  {
+    name: 'Underpromote to check',
+    fen: '8/P1k5/K7/8/8/8/8/8 w - - 0 1',
+    nodes: [6, 27, 273, 1329, 18135, 92683]
+  },
+  {
+    name: 'Self stalemate',
+    fen: 'K1k5/8/P7/8/8/8/8/8 w - - 0 1',
+    nodes: [2, 6, 13, 63, 382, 2217]
+  },
+  {
+    name: 'Stalemate and checkmate',
+    fen: '8/k1P5/8/1K6/8/8/8/8 w - - 0 1',
+    nodes: [10, 25, 268, 926, 10857, 43261, 567584]
+  },
+  {
+    name: 'Double check',
+    fen: '8/8/2k5/5q2/5n2/8/5K2/8 b - - 0 1',
+    nodes: [37, 183, 6559, 23527]
+  },
+  {
+    name: 'Chess960 #1',
+    fen: 'bqnb1rkr/pp3ppp/3ppn2/2p5/5P2/P2P4/NPP1P1PP/BQ1BNRKR w HFhf - 2 9',
+    nodes: [21, 528, 12189, 326672]
+  },
+  {
+    name: 'Chess960 #2',
+    fen: '2nnrbkr/p1qppppp/8/1ppb4/6PP/3PP3/PPP2P2/BQNNRBKR w HEhe - 1 9',
+    nodes: [21, 807, 18002, 667366]
+  },
+  {
+    name: 'Chess960 #3',
+    fen: 'b1q1rrkb/pppppppp/3nn3/8/P7/1PPP4/4PPPP/BQNNRKRB w GE - 1 9',
+    nodes: [20, 479, 10471, 273318]
+  }
+];
+
+/**
+ * Count the leaf nodes of the legal move tree
+ * @param {Board} board - The board (left unchanged)
+ * @param {number} depth - Depth in plies
+ * @returns {number} - Number of leaf nodes
+ */
+function perft(board, depth) {
+  if (depth === 0) {
+    return 1;
+  }
+
+  const moves = board.getLegalMoves();
+
+  // Bulk counting: no need to make the last ply of moves
+  if (depth === 1) {
+    return moves.length;
+  }
+
+  let nodes = 0;
+  for (const move of moves) {
+    board.makeMove(move);
+    nodes += perft(board, depth - 1);
+    board.undoMove();
+  }
+
+  return nodes;
+}
+
+/**
+ * Perft split by root move, for narrowing down move generation bugs
+ * @param {Board} board - The board (left unchanged)
+ * @param {number} depth - Depth in plies (at least 1)
+ * @returns {Object} - { moves: [{ move, nodes }], nodes } with moves in UCI notation
+ */
+function divide(board, depth) {
+  const results = [];
+  let total = 0;
+
+  for (const move of board.getLegalMoves()) {
+    const uci = board.moveToUci(move);
+    board.makeMove(move);
+    const nodes = perft(board, depth - 1);
+    board.undoMove();
+
+    results.push({ move: uci, nodes });
+    total += nodes;
+  }
+
+  return { moves: results, nodes: total };
+}
+
+/**
+ * Calculate nodes per second
+ * @param {number} nodes - Node count
+ * @param {number} time - Elapsed time in milliseconds
+ * @returns {number} - Nodes per second
+ */
+function nodesPerSecond(nodes, time) {
+  return Math.floor(nodes / Math.max(time, 1) * 1000);
+}
+
+/**
+ * Run the built-in perft suite
+ * @param {Object} options - { maxDepth: deepest depth to run per position, backend: board backend name, verifyHash: recompute the Zobrist keys after every move, log: output function }
+ * @returns {Object} - { positions, failures, nodes, time }
+ */
+function runPerftSuite(options = {}) {
+  const maxDepth = options.maxDepth || 3;
+  const log = options.log || console.log;
+  const board = createBoard(options.backend);
+  board.verifyHash = options.verifyHash || false;
+
+  let failures = 0;
+  let totalNodes = 0;
+  let totalTime = 0;
+
+  for (const { name, fen, nodes: expectedCounts } of PERFT_SUITE) {
+    const depth = Math.min(maxDepth, expectedCounts.length);
+    const expected = expectedCounts[depth - 1];
+
+    board.loadFromFen(fen);
+    const startTime = Date.now();
+    let nodes;
+    try {
+      nodes = perft(board, depth);
+    } catch (error) {
+      // A Zobrist key mismatch found by verifyHash
+      failures++;
+      log(`FAIL ${name} (depth ${depth}): ${error.message}`);
+      continue;
+    }
+    const time = Date.now() - startTime;
+
+    totalNodes += nodes;
+    totalTime += time;
+
+    const status = nodes === expected ? 'OK  ' : 'FAIL';
+    if (nodes !== expected) {
+      failures++;
+    }
+
+    log(`${status} ${name} (depth ${depth}): ${nodes} nodes, expected ${expected}, ${time}ms, ${nodesPerSecond(nodes, time)} nps`);
+    if (nodes !== expected) {
+      log(`     FEN: ${fen}`);
+    }
+  }
+
+  log('');
+  log(`${PERFT_SUITE.length - failures}/${PERFT_SUITE.length} positions passed, ${failures} mismatches`);
+  log(`Total: ${totalNodes} nodes in ${totalTime}ms (${nodesPerSecond(totalNodes, totalTime)} nps)`);
+
+  return { positions: PERFT_SUITE.length, failures, nodes: totalNodes, time: totalTime };
+}
+
+// Positions and depths timed by the backend benchmark
+const BENCHMARK_POSITIONS = [
+  { name: 'Start position', depth: 4 },
+  { name: 'Kiwipete', depth: 3 },
+  { name: 'Position 3 (en passant, pins)', depth: 4 },
+  { name: 'Position 4 (promotions, castling)', depth: 3 },
+  { name: 'Position 5', depth: 3 }
+];
+
+/**
+ * Compare the perft speed of the board backends on the same positions
+ * @param {Object} options - { depth: override the depth of every position, log: output function }
+ * @returns {Object} - Per backend name: { nodes, time, nps }
+ */
+function runBackendBenchmark(options = {}) {
+  const log = options.log || console.log;
+  const results = {};
+
+  for (const backend of Object.keys(BOARD_BACKENDS)) {
+    const board = createBoard(backend);
+    let totalNodes = 0;
+    let totalTime = 0;
+
+    log(`${backend}:`);
+
+    for (const { name, depth: defaultDepth } of BENCHMARK_POSITIONS) {
+      const { fen } = PERFT_SUITE.find(position => position.name === name);
+      const depth = options.depth || defaultDepth;
+
+      board.loadFromFen(fen);
+      const startTime = Date.now();
+      const nodes = perft(board, depth);
+      const time = Date.now() - startTime;
+
+      totalNodes += nodes;
+      totalTime += time;
+      log(`  ${name} (depth ${depth}): ${nodes} nodes, ${time}ms, ${nodesPerSecond(nodes, time)} nps`);
+    }
+
+    results[backend] = { nodes: totalNodes, time: totalTime, nps: nodesPerSecond(totalNodes, totalTime) };
+    log(`  Total: ${totalNodes} nodes in ${totalTime}ms (${results[backend].nps} nps)`);
+    log('');
+  }
+
+  const { mailbox, bitboard } = results;
+  log(`bitboard vs mailbox: ${(bitboard.nps / Math.max(mailbox.nps, 1)).toFixed(2)}x`);
+
+  return results;
+}
+
+module.exports = {
+  PERFT_SUITE,
+  perft,
+  divide,
+  nodesPerSecond,
+  runPerftSuite,
+  runBackendBenchmark
+};
@@ -0,0 +1,458 @@
+/**
+ * PGN (Portable Game Notation) import and export
+ *
+ * Games are stored as a tree of moves on top of Board: the first child of a
+ * node is the main line, further children are variations.
+ */
+
+const { Board, WHITE } = require('./board');
+
+const START_FEN = 'rnbqkbnr/pppppppp/8/8/8/8/PPPPPPPP/RNBQKBNR w KQkq - 0 1';
+
+// Tags every PGN game carries, in export order
+const SEVEN_TAG_ROSTER = ['Event', 'Site', 'Date', 'Round', 'White', 'Black', 'Result'];
+
+const RESULTS = ['1-0', '0-1', '1/2-1/2', '*'];
+
+// Move suffix annotations and their equivalent NAGs
+const SUFFIX_NAGS = { '!': 1, '?': 2, '!!': 3, '??': 4, '!?': 5, '?!': 6 };
+
+// Export format keeps lines below 80 characters
+const MAX_LINE_LENGTH = 79;
+
+// One token per match: tag pair, comment, line comment, NAG, variation
+// start/end, result, move number, or SAN move with optional suffix annotation
+const TOKEN_REGEX = new RegExp([
+  '\\[\\s*([A-Za-z0-9_]+)\\s+"((?:[^"\\\\]|\\\\.)*)"\\s*\\]',
+  '\\{([^}]*)\\}',
+  ';([^\\n]*)',
+  '\\$(\\d+)',
+  '(\\()',
+  '(\\))',
+  '(1-0|0-1|1/2-1/2|\\*)',
+  '(\\d+)\\s*\\.+',
+  '([A-Za-z0-9][A-Za-z0-9=+#:\\-]*)([!?]{1,2})?'
+].join('|'), 'g');
+
+/**
+ * A position in the game tree, reached by playing `move` from its parent
+ */
+class PgnNode {
+  constructor(parent = null, move = null, san = null) {
+    this.parent = parent;
+    this.move = move;
+    this.san = san;
+    this.children = [];
+    this.nags = [];
+
+    // Comments after the move, and comments before it (first move of a variation)
+    this.comments = [];
+    this.startingComments = [];
+
+    // Move number and side that made the move
+    this.moveNumber = 0;
+    this.turn = WHITE;
+  }
+
+  /**
+   * Get the main line continuation
+   * @returns {PgnNode|null} - The first child, or null at the end of a line
+   */
+  get next() {
+    return this.children[0] || null;
+  }
+
+  /**
+   * Play a move from this node, adding it as a new child
+   * @param {Board} board - Board set up at this node's position; the move is made on it
+   * @param {Object} move - A legal move object
+   * @returns {PgnNode} - The new child node
+   */
+  addMove(board, move) {
+    const child = new PgnNode(this, move, board.moveToSan(move));
+    child.moveNumber = board.fullMoveNumber;
+    child.turn = board.turn;
+
+    board.makeMove(move);
+    this.children.push(child);
+    return child;
+  }
+}
+
+/**
+ * A single game: tag pairs plus the move tree
+ */
+class PgnGame {
+  constructor(headers = {}) {
+    this.headers = {
+      Event: '?',
+      Site: '?',
+      Date: '????.??.??',
+      Round: '?',
+      White: '?',
+      Black: '?',
+      Result: '*',
+      ...headers
+    };
+    this.root = new PgnNode();
+  }
+
+  /**
+   * Get the FEN of the starting position
+   * @returns {string} - The FEN string
+   */
+  get startFen() {
+    return this.headers.FEN || START_FEN;
+  }
+
+  /**
+   * Check whether the game is Chess960, from its Variant tag
+   * @returns {boolean} - True for Chess960 (Fischer Random) games
+   */
+  get chess960() {
+    return /960|fischer/i.test(this.headers.Variant || '');
+  }
+
+  /**
+   * Create a board set up at the starting position
+   * @returns {Board} - The board
+   */
+  createBoard() {
+    const board = new Board();
+    board.chess960 = this.chess960;
+    if (this.headers.FEN) {
+      board.loadFromFen(this.headers.FEN);
+    } else {
+      board.setupInitialPosition();
+    }
+    return board;
+  }
+
+  /**
+   * Get the main line of the game
+   * @returns {Array} - Nodes of the main line, excluding the root
+   */
+  mainline() {
+    const nodes = [];
+    for (let node = this.root.next; node; node = node.next) {
+      nodes.push(node);
+    }
+    return nodes;
+  }
+
+  /**
+   * Play the main line on a fresh board, so its moves can be undone
+   * @returns {Board} - The board at the end of the main line
+   */
+  toBoard() {
+    const board = this.createBoard();
+    for (const node of this.mainline()) {
+      board.makeMove(node.move);
+    }
+    return board;
+  }
+
+  /**
+   * Build a game from the moves played on a board
+   * @param {Board} board - The board; its position is left unchanged
+   * @param {Object} headers - Tag pairs for the game
+   * @returns {PgnGame} - The game
+   */
+  static fromBoard(board, headers = {}) {
+    // Take the moves back to find the starting position, then replay them
+    const moves = [];
+    while (board.history.length > 0) {
+      moves.unshift(board.undoMove());
+    }
+
+    const startFen = board.toFen();
+    const setup = startFen === START_FEN ? {} : { SetUp: '1', FEN: startFen };
+    const variant = board.chess960 ? { Variant: 'Chess960' } : {};
+    const game = new PgnGame({ ...headers, ...variant, ...setup });
+
+    let node = game.root;
+    for (const move of moves) {
+      node = node.addMove(board, board.createMove(move.from, move.to, move.promotion, move.isEnPassant, move.isCastle));
+    }
+
+    return game;
+  }
+}
+
+/**
+ * Parse a PGN file, which may contain several games
+ * @param {string} text - The PGN text
+ * @returns {Array} - Array of PgnGame objects
+ */
+function parsePgn(text) {
+  // Lines starting with "%" are escaped and must be ignored
+  const source = text.replace(/^%.*$/gm, '');
+  const games = [];
+
+  let game = null;
+  let board = null;
+  let node = null;
+  let variations = [];
+  let inMovetext = false;
+
+  // Comments right after "(" belong before the variation's first move
+  let pendingComments = [];
+  let atVariationStart = false;
+
+  const lineAt = (index) => source.slice(0, index).split('\n').length;
+
+  const startMovetext = (index) => {
+    if (!inMovetext) {
+      try {
+        board = game.createBoard();
+      } catch (e) {
+        throw new Error(`PGN line ${lineAt(index)}: invalid FEN tag: ${e.message}`);
+      }
+      node = game.root;
+      inMovetext = true;
+    }
+  };
+
+  const finishGame = () => {
+    if (game) {
+      games.push(game);
+    }
+    game = null;
+    board = null;
+    node = null;
+    variations = [];
+    pendingComments = [];
+    atVariationStart = false;
+    inMovetext = false;
+  };
+
+  TOKEN_REGEX.lastIndex = 0;
+  let match;
+  while ((match = TOKEN_REGEX.exec(source)) !== null) {
+    const [, tagName, tagValue, comment, lineComment, nag, open, close, result, moveNumber, san, suffix] = match;
+
+    // Tag pairs start a new game once the previous one has moves
+    if (tagName !== undefined) {
+      if (inMovetext) {
+        finishGame();
+      }
+      if (!game) {
+        game = new PgnGame();
+      }
+      game.headers[tagName] = tagValue.replace(/\\(["\\])/g, '$1');
+      continue;
+    }
+
+    if (!game) {
+      game = new PgnGame();
+    }
+    startMovetext(match.index);
+
+    if (comment !== undefined || lineComment !== undefined) {
+      const textValue = (comment !== undefined ? comment : lineComment).trim().replace(/\s+/g, ' ');
+      if (textValue) {
+        (atVariationStart ? pendingComments : node.comments).push(textValue);
+      }
+    } else if (nag !== undefined) {
+      node.nags.push(parseInt(nag, 10));
+    } else if (open !== undefined) {
+      if (!node.parent) {
+        throw new Error(`PGN line ${lineAt(match.index)}: variation without a preceding move`);
+      }
+      variations.push(node);
+      board.undoMove();
+      node = node.parent;
+      atVariationStart = true;
+    } else if (close !== undefined) {
+      if (variations.length === 0) {
+        throw new Error(`PGN line ${lineAt(match.index)}: unmatched ")"`);
+      }
+      node.comments.push(...pendingComments.splice(0));
+      atVariationStart = false;
+
+      // Return to the main line move the variation replaced
+      const resume = variations.pop();
+      while (node !== resume.parent) {
+        board.undoMove();
+        node = node.parent;
+      }
+      board.makeMove(resume.move);
+      node = resume;
+    } else if (result !== undefined) {
+      if (variations.length > 0) {
+        throw new Error(`PGN line ${lineAt(match.index)}: result inside a variation`);
+      }
+      if (game.headers.Result === '*' || !RESULTS.includes(game.headers.Result)) {
+        game.headers.Result = result;
+      }
+      finishGame();
+    } else if (moveNumber !== undefined) {
+      // Move numbers are implied by the position
+    } else if (san !== undefined) {
+      const move = board.sanToMove(san);
+      if (!move) {
+        throw new Error(`PGN line ${lineAt(match.index)}: illegal or ambiguous move "${san}" in position ${board.toFen()}`);
+      }
+
+      const child = node.addMove(board, move);
+      child.startingComments.push(...pendingComments.splice(0));
+      if (suffix) {
+        child.nags.push(SUFFIX_NAGS[suffix]);
+      }
+      node = child;
+      atVariationStart = false;
+    }
+  }
+
+  // A final game without a result token
+  if (game) {
+    if (variations.length > 0) {
+      throw new Error('PGN: unterminated variation at end of input');
+    }
+    finishGame();
+  }
+
+  return games;
+}
+
+/**
+ * Serialize a game to PGN export format
+ * @param {PgnGame} game - The game
+ * @returns {string} - The PGN text, ending with a blank line
+ */
+function writePgn(game) {
+  const lines = [];
+
+  // Seven tag roster first, then the remaining tags in insertion order
+  const names = [...SEVEN_TAG_ROSTER, ...Object.keys(game.headers).filter(name => !SEVEN_TAG_ROSTER.includes(name))];
+  for (const name of names) {
+    const value = String(game.headers[name] !== undefined ? game.headers[name] : '?');
+    lines.push(`[${name} "${value.replace(/[\\"]/g, '\\$&')}"]`);
+  }
+  lines.push('');
+
+  // Movetext as a flat token list, then wrapped
+  const tokens = [];
+  pushComments(tokens, game.root.comments);
+  writeLine(game.root, tokens, true);
+  tokens.push(game.headers.Result || '*');
+
+  lines.push(...wrapTokens(tokens));
+  lines.push('');
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Append the tokens of a line (and its nested variations) starting after a node
+ * @param {PgnNode} parent - The node the line starts from
+ * @param {Array} tokens - Token list to append to
+ * @param {boolean} forceNumber - Whether the first move needs an explicit move number
+ */
+function writeLine(parent, tokens, forceNumber) {
+  let node = parent.next;
+  let needNumber = forceNumber;
+
+  while (node) {
+    needNumber = writeMove(node, tokens, needNumber);
+
+    // Alternatives to this move
+    for (const variation of node.parent.children.slice(1)) {
+      tokens.push('(');
+      writeMove(variation, tokens, true);
+      writeLine(variation, tokens, false);
+      tokens.push(')');
+      needNumber = true;
+    }
+
+    node = node.next;
+  }
+}
+
+/**
+ * Append the tokens of a single move
+ * @param {PgnNode} node - The node holding the move
+ * @param {Array} tokens - Token list to append to
+ * @param {boolean} needNumber - Whether a black move needs an explicit "N..." number
+ * @returns {boolean} - Whether the following move needs an explicit number
+ */
+function writeMove(node, tokens, needNumber) {
+  if (node.startingComments.length > 0) {
+    pushComments(tokens, node.startingComments);
+    needNumber = true;
+  }
+
+  if (node.turn === WHITE) {
+    tokens.push(`${node.moveNumber}.`);
+  } else if (needNumber) {
+    tokens.push(`${node.moveNumber}...`);
+  }
+
+  tokens.push(node.san);
+  for (const nag of node.nags) {
+    tokens.push(`$${nag}`);
+  }
+
+  pushComments(tokens, node.comments);
+  return node.comments.length > 0;
+}
+
+/**
+ * Append comments as brace-delimited tokens, one per word so they can wrap
+ * @param {Array} tokens - Token list to append to
+ * @param {Array} comments - Comment strings
+ */
+function pushComments(tokens, comments) {
+  for (const comment of comments) {
+    const words = `{${comment}}`.split(' ');
+    tokens.push(...words);
+  }
+}
+
+/**
+ * Join tokens into lines no longer than MAX_LINE_LENGTH
+ * @param {Array} tokens - The tokens
+ * @returns {Array} - The lines
+ */
+function wrapTokens(tokens) {
+  const lines = [];
+  let line = '';
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+
+    // No space just inside variation parentheses
+    const glue = line === '' || tokens[i - 1] === '(' || token === ')' ? '' : ' ';
+
+    if (line !== '' && line.length + glue.length + token.length > MAX_LINE_LENGTH) {
+      lines.push(line);
+      line = token;
+    } else {
+      line += glue + token;
+    }
+  }
+
+  if (line !== '') {
+    lines.push(line);
+  }
+  return lines;
+}
+
+/**
+ * Format a date as a PGN Date tag value
+ * @param {Date} date - The date
+ * @returns {string} - The date as "YYYY.MM.DD"
+ */
+function formatPgnDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+module.exports = {
+  PgnGame,
+  PgnNode,
+  parsePgn,
+  writePgn,
+  formatPgnDate,
+  START_FEN
+};
@@ -0,0 +1,97 @@
+/**
+ * Search benchmark - searches a fixed set of positions to a fixed depth and
+ * counts the nodes, to measure how search changes shrink the tree
+ */
+
+const ChessEngine2 = require('./engine2');
+const { nodesPerSecond } = require('./perft');
+
+// Middlegame and endgame positions out of the opening book
+const SEARCH_BENCHMARK_POSITIONS = [
+  {
+    name: 'Italian game',
+    fen: 'r1bqk2r/pppp1ppp/2n2n2/2b1p3/2B1P3/2NP1N2/PPP2PPP/R1BQK2R b KQkq - 0 5'
+  },
+  {
+    name: 'Queen\'s Gambit Declined',
+    fen: 'rnbqk2r/ppp1bppp/4pn2/3p2B1/2PP4/2N5/PP2PPPP/R2QKBNR w KQkq - 4 5'
+  },
+  {
+    name: 'Kiwipete',
+    fen: 'r3k2r/p1ppqpb1/bn2pnp1/3PN3/1p2P3/2N2Q1p/PPPBBPPP/R3K2R w KQkq - 0 1'
+  },
+  {
+    name: 'Opposite castling',
+    fen: 'r4rk1/1pp1qppp/p1np1n2/2b1p1B1/2B1P1b1/P1NP1N2/1PP1QPPP/R4RK1 w - - 0 10'
+  },
+  {
+    name: 'Rook endgame',
+    fen: '8/5pk1/6p1/R7/5P2/4K1P1/r6P/8 w - - 0 40'
+  },
+  {
+    name: 'Pawn endgame',
+    fen: '8/2p5/3p4/KP5r/1R3p1k/8/4P1P1/8 w - - 0 1'
+  }
+];
+
+// Search settings compared by the benchmark, each against the first
+const SEARCH_BENCHMARK_CONFIGS = [
+  { name: 'alpha-beta', options: { features: { pvs: false, aspiration: false } } },
+  { name: 'PVS', options: { features: { pvs: true, aspiration: false } } },
+  { name: 'PVS + aspiration', options: { features: { pvs: true, aspiration: true } } }
+];
+
+/**
+ * Search every benchmark position to a fixed depth with each configuration
+ * and report the node counts. Every search starts with empty tables, so the
+ * counts only depend on the search itself.
+ * @param {Object} options - { depth: search depth, configs: configurations to compare ({ name, options } with ChessEngine2 options), log: output function }
+ * @returns {Object} - Per configuration name: { nodes, time, nps }
+ */
+function runSearchBenchmark(options = {}) {
+  const depth = options.depth || 6;
+  const configs = options.configs || SEARCH_BENCHMARK_CONFIGS;
+  const log = options.log || console.log;
+  const results = {};
+
+  for (const config of configs) {
+    let totalNodes = 0;
+    let totalTime = 0;
+
+    log(`${config.name}:`);
+
+    for (const { name, fen } of SEARCH_BENCHMARK_POSITIONS) {
+      const engine = new ChessEngine2({ ...config.options, maxDepth: depth, timeLimit: Infinity });
+      engine.loadPosition(fen);
+
+      const startTime = Date.now();
+      const move = engine.getBestMove();
+      const time = Date.now() - startTime;
+      const nodes = engine.getStats().nodesSearched;
+
+      totalNodes += nodes;
+      totalTime += time;
+      log(`  ${name} (depth ${depth}): ${move}, ${nodes} nodes, ${time}ms`);
+    }
+
+    results[config.name] = { nodes: totalNodes, time: totalTime, nps: nodesPerSecond(totalNodes, totalTime) };
+    log(`  Total: ${totalNodes} nodes in ${totalTime}ms (${results[config.name].nps} nps)`);
+    log('');
+  }
+
+  // Node counts relative to the first configuration
+  const baseline = results[configs[0].name];
+  for (const config of configs.slice(1)) {
+    const { nodes } = results[config.name];
+    const reduction = (1 - nodes / Math.max(baseline.nodes, 1)) * 100;
+    log(`${config.name} vs ${configs[0].name}: ${reduction.toFixed(1)}% fewer nodes`);
+  }
+
+  return results;
+}
+
+module.exports = {
+  SEARCH_BENCHMARK_POSITIONS,
+  SEARCH_BENCHMARK_CONFIGS,
+  runSearchBenchmark
+};
@@ -0,0 +1,125 @@
+/**
+ * Search worker - runs ChessEngine2 searches on a worker thread so the UCI
+ * loop keeps reading commands (stop, isready, quit) while the engine thinks.
+ * One worker runs per search thread (see threads.js); only the main thread
+ * (threadIndex 0) sends messages.
+ *
+ * Messages in:  { type: 'newgame' }
+ *               { type: 'hash', ttBuffer } to switch to a new shared transposition table
+ *               { type: 'go', position: { fen, moves },
+ *                 options: { timeLimit, clock, maxDepth, nodeLimit, mateLimit, searchMoves, multiPv, infinite, ponder, backend, chess960, features, contempt } }
+ * Messages out: { type: 'info', info }
+ *               { type: 'bestmove', move, ponder, nodes }
+ *
+ * "stop" and "ponderhit" arrive through the shared signal, since the
+ * worker does not read messages while it searches.
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const ChessEngine2 = require('./engine2');
+const { SIGNAL_SEARCH, SIGNAL_STOP, SEARCH_FEATURES, TranspositionTable } = ChessEngine2;
+const { TimeManager } = require('./timeman');
+
+const { threadIndex, signalBuffer, ttBuffer, threadNodesBuffer } = workerData;
+const mainThread = threadIndex === 0;
+
+// Shared signal words: [0] holds a SIGNAL_* value, [1] the number of helpers still searching
+const signal = new Int32Array(signalBuffer);
+const ACTIVE_HELPERS_INDEX = 1;
+
+// The search keeps its transposition table between moves of a game, so a
+// ponder search also fills it for the next one
+const engine = new ChessEngine2({
+  stopSignal: signal,
+  ttBuffer,
+  threadIndex,
+  threadNodes: new Float64Array(threadNodesBuffer),
+  onInfo: mainThread ? (info) => parentPort.postMessage({ type: 'info', info }) : null
+});
+
+/**
+ * Wait until every helper thread has stopped searching
+ */
+function waitForHelpers() {
+  let active;
+  while ((active = Atomics.load(signal, ACTIVE_HELPERS_INDEX)) > 0) {
+    Atomics.wait(signal, ACTIVE_HELPERS_INDEX, active);
+  }
+}
+
+/**
+ * Set up the position to search, replaying the moves so the game history is kept
+ * @param {Object} position - { fen: start FEN or null for the standard start position, moves: moves in UCI notation }
+ * @param {Object} options - { backend, chess960 }
+ */
+function setupPosition(position, options) {
+  if (engine.backend !== options.backend) {
+    engine.setBackend(options.backend);
+  }
+  engine.board.chess960 = options.chess960;
+
+  if (position.fen) {
+    engine.loadPosition(position.fen);
+  } else {
+    engine.resetBoard();
+  }
+
+  for (const move of position.moves) {
+    engine.board.makeUciMove(move);
+  }
+}
+
+parentPort.on('message', (message) => {
+  switch (message.type) {
+    case 'newgame':
+      // Every thread forgets its move ordering statistics; the main thread
+      // also empties the shared transposition table
+      if (mainThread) {
+        engine.reset();
+      } else {
+        engine.clearHistory();
+      }
+      break;
+    case 'hash':
+      engine.transpositionTable = new TranspositionTable({ buffer: message.ttBuffer });
+      break;
+    case 'go': {
+      const { position, options } = message;
+      setupPosition(position, options);
+      // A clock ({ time, increment, movesToGo, overhead }) replaces the fixed time limit
+      engine.timeManager = options.clock ? new TimeManager(options.clock) : null;
+      engine.timeLimit = engine.timeManager ? engine.timeManager.maximum : options.timeLimit;
+      engine.maxDepth = options.maxDepth;
+      engine.nodeLimit = options.nodeLimit;
+      engine.mateLimit = options.mateLimit;
+      engine.searchMoves = options.searchMoves;
+      engine.multiPv = options.multiPv;
+      engine.pondering = options.ponder;
+      engine.features = { ...SEARCH_FEATURES, ...options.features };
+      engine.contempt = options.contempt;
+
+      const move = engine.getBestMove();
+
+      // Helpers only report that they are done
+      if (!mainThread) {
+        Atomics.sub(signal, ACTIVE_HELPERS_INDEX, 1);
+        Atomics.notify(signal, ACTIVE_HELPERS_INDEX);
+        break;
+      }
+
+      // Infinite and ponder searches may only answer after "stop" (or
+      // "ponderhit"), even if they ran out of depth or found a mate first
+      if (options.infinite || engine.pondering) {
+        Atomics.wait(signal, 0, SIGNAL_SEARCH);
+        engine.pondering = false;
+      }
+
+      // Stop the helpers, and answer once they no longer write to the shared
+      // table, so the next search starts from a quiet table
+      Atomics.store(signal, 0, SIGNAL_STOP);
+      waitForHelpers();
+      parentPort.postMessage({ type: 'bestmove', move, ponder: engine.ponderMove, nodes: engine.totalNodes() });
+      break;
+    }
+  }
+});
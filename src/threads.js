@@ -0,0 +1,331 @@
+/**
+ * Search threads - Lazy SMP: several workers search the same position at
+ * once, sharing one transposition table. The threads only cooperate through
+ * the table: whatever one of them finds lets the others cut their trees
+ * short. The main thread (index 0) decides when to stop and reports the
+ * result; the helpers stop with it.
+ */
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const ChessEngine2 = require('./engine2');
+const { SIGNAL_SEARCH, SIGNAL_STOP, SIGNAL_PONDERHIT, TranspositionTable } = ChessEngine2;
+const { PERFT_SUITE, nodesPerSecond } = require('./perft');
+
+const MAX_THREADS = 8;
+
+// Shared signal words: the SIGNAL_* value, and the number of helpers still searching
+const SIGNAL_INDEX = 0;
+const ACTIVE_HELPERS_INDEX = 1;
+
+/**
+ * A pool of search workers sharing a transposition table
+ */
+class SearchThreads {
+  /**
+   * @param {Object} options - { threads: number of search threads, hashSize: transposition table size in megabytes, onInfo: called with the main thread's search progress }
+   */
+  constructor(options = {}) {
+    this.onInfo = options.onInfo || null;
+
+    this.signal = new Int32Array(new SharedArrayBuffer(8));
+    this.transpositionTable = new TranspositionTable({ sizeMb: options.hashSize });
+    this.threadNodes = new Float64Array(new SharedArrayBuffer(MAX_THREADS * 8));
+
+    this.workers = [];
+    this.searching = null; // { resolve, pv } of the running search
+    this.setThreads(options.threads || 1);
+  }
+
+  /**
+   * Change the number of search threads (not while searching)
+   * @param {number} threads - Number of threads, 1 to MAX_THREADS
+   */
+  setThreads(threads) {
+    if (this.searching) {
+      throw new Error('Cannot change the number of threads while searching');
+    }
+
+    threads = Math.min(Math.max(threads, 1), MAX_THREADS);
+
+    while (this.workers.length > threads) {
+      this.workers.pop().terminate();
+    }
+
+    while (this.workers.length < threads) {
+      this.workers.push(this.createWorker(this.workers.length));
+    }
+  }
+
+  /**
+   * Start the worker of one search thread
+   * @param {number} threadIndex - Index of the thread, 0 for the main thread
+   * @returns {Worker} - The worker, not yet searching
+   */
+  createWorker(threadIndex) {
+    const worker = new Worker(path.join(__dirname, 'searchworker.js'), {
+      workerData: {
+        threadIndex,
+        signalBuffer: this.signal.buffer,
+        ttBuffer: this.transpositionTable.buffer,
+        threadNodesBuffer: this.threadNodes.buffer
+      }
+    });
+    if (threadIndex === 0) {
+      worker.on('message', (message) => this.mainThreadMessage(message));
+    }
+    worker.on('error', (error) => this.workerFailed(worker, threadIndex, error.message));
+    worker.on('exit', (code) => this.workerFailed(worker, threadIndex, `exited with code ${code}`));
+    worker.unref(); // Only keep the process alive while searching
+    return worker;
+  }
+
+  /**
+   * Replace a worker that crashed or exited, and settle the search it took
+   * part in: without the main thread the search answers with the best move
+   * reported so far, and the main thread stops waiting for a lost helper
+   * @param {Worker} worker - The worker that failed
+   * @param {number} threadIndex - Its thread index
+   * @param {string} reason - What happened
+   */
+  workerFailed(worker, threadIndex, reason) {
+    // Workers stopped on purpose have already left the pool
+    if (this.workers[threadIndex] !== worker) {
+      return;
+    }
+
+    console.error(`Search thread ${threadIndex} failed: ${reason}`);
+    this.workers[threadIndex] = this.createWorker(threadIndex);
+
+    if (!this.searching) {
+      return;
+    }
+
+    if (threadIndex === 0) {
+      this.stop();
+      const [move = null, ponder = null] = this.searching.pv;
+      const nodes = this.threadNodes.reduce((sum, count) => sum + count, 0);
+
+      // Answer once the helpers have stopped, as the main thread would
+      const answer = () => {
+        if (Atomics.load(this.signal, ACTIVE_HELPERS_INDEX) > 0) {
+          setTimeout(answer, 1);
+        } else {
+          this.mainThreadMessage({ type: 'bestmove', move, ponder, nodes });
+        }
+      };
+      answer();
+    } else {
+      Atomics.sub(this.signal, ACTIVE_HELPERS_INDEX, 1);
+      Atomics.notify(this.signal, ACTIVE_HELPERS_INDEX);
+    }
+  }
+
+  /**
+   * Replace the transposition table with an empty one of another size (not while searching)
+   * @param {number} sizeMb - Table size in megabytes
+   */
+  setHashSize(sizeMb) {
+    if (this.searching) {
+      throw new Error('Cannot resize the hash table while searching');
+    }
+
+    this.transpositionTable = new TranspositionTable({ sizeMb });
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'hash', ttBuffer: this.transpositionTable.buffer });
+    }
+  }
+
+  /**
+   * Empty the transposition table (not while searching)
+   */
+  clearHash() {
+    if (this.searching) {
+      throw new Error('Cannot clear the hash table while searching');
+    }
+
+    this.transpositionTable.clear();
+  }
+
+  /**
+   * Number of search threads
+   * @returns {number}
+   */
+  get threads() {
+    return this.workers.length;
+  }
+
+  /**
+   * Start a search on all threads
+   * @param {Object} position - { fen: start FEN or null for the standard start position, moves: moves in UCI notation }
+   * @param {Object} options - Search options, see searchworker.js
+   * @returns {Promise<Object>} - Resolves to { move, ponder, nodes } when the main thread is done
+   */
+  search(position, options) {
+    if (this.searching) {
+      return Promise.reject(new Error('Already searching'));
+    }
+
+    Atomics.store(this.signal, SIGNAL_INDEX, SIGNAL_SEARCH);
+    Atomics.store(this.signal, ACTIVE_HELPERS_INDEX, this.workers.length - 1);
+    this.threadNodes.fill(0);
+
+    // Helpers search until the main thread stops them; only the main thread
+    // keeps time, reports and answers
+    const helperOptions = {
+      ...options,
+      timeLimit: Infinity,
+      clock: null,
+      nodeLimit: Infinity,
+      mateLimit: 0,
+      multiPv: 1,
+      infinite: false,
+      ponder: false
+    };
+
+    return new Promise((resolve) => {
+      this.searching = { resolve, pv: [] }; // pv: the main thread's latest principal variation
+      this.workers.forEach((worker, index) => {
+        worker.ref();
+        worker.postMessage({ type: 'go', position, options: index === 0 ? options : helperOptions });
+      });
+    });
+  }
+
+  /**
+   * Handle a message from the main search thread
+   * @param {Object} message - { type: 'info', info } or { type: 'bestmove', move, ponder, nodes }
+   */
+  mainThreadMessage(message) {
+    switch (message.type) {
+      case 'info':
+        if (this.searching && message.info.pv && message.info.multipv === 1) {
+          this.searching.pv = message.info.pv;
+        }
+        if (this.onInfo) {
+          this.onInfo(message.info);
+        }
+        break;
+      case 'bestmove': {
+        const { resolve } = this.searching;
+        this.searching = null;
+        this.workers.forEach(worker => worker.unref());
+        resolve({ move: message.move, ponder: message.ponder, nodes: message.nodes });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Stop the search; the main thread still reports its best move
+   */
+  stop() {
+    if (this.searching) {
+      Atomics.store(this.signal, SIGNAL_INDEX, SIGNAL_STOP);
+      Atomics.notify(this.signal, SIGNAL_INDEX);
+    }
+  }
+
+  /**
+   * The pondered move was played: the main thread continues on its own clock
+   */
+  ponderHit() {
+    if (this.searching) {
+      Atomics.store(this.signal, SIGNAL_INDEX, SIGNAL_PONDERHIT);
+      Atomics.notify(this.signal, SIGNAL_INDEX);
+    }
+  }
+
+  /**
+   * Start a new game: every thread forgets its history tables, and the main
+   * thread clears the shared transposition table
+   */
+  newGame() {
+    for (const worker of this.workers) {
+      worker.postMessage({ type: 'newgame' });
+    }
+  }
+
+  /**
+   * Stop all workers for good
+   * @returns {Promise} - Resolves when every worker has exited
+   */
+  terminate() {
+    const workers = this.workers;
+    this.workers = [];
+    return Promise.all(workers.map(worker => worker.terminate()));
+  }
+}
+
+// Positions timed by the thread benchmark (out of the opening book)
+const THREAD_BENCHMARK_POSITIONS = [
+  'Kiwipete',
+  'Position 4 (promotions, castling)',
+  'Position 5',
+  'Position 6'
+];
+
+/**
+ * Compare one search thread with several: each position is searched to a
+ * fixed depth, and the times to reach it and the node rates are compared.
+ * Only a machine with a core per thread shows a speedup.
+ * @param {Object} options - { threads: thread count to compare with one thread, depth: search depth, log: output function }
+ * @returns {Promise<Object>} - { single: { time, nodes, nps }, multi: { time, nodes, nps }, speedup }
+ */
+async function runThreadBenchmark(options = {}) {
+  const threads = options.threads || 2;
+  const depth = options.depth || 6;
+  const log = options.log || console.log;
+  const results = {};
+
+  for (const [label, threadCount] of [['single', 1], ['multi', threads]]) {
+    const pool = new SearchThreads({ threads: threadCount });
+    let totalNodes = 0;
+    let totalTime = 0;
+
+    log(`${threadCount} thread${threadCount > 1 ? 's' : ''}:`);
+
+    for (const name of THREAD_BENCHMARK_POSITIONS) {
+      const { fen } = PERFT_SUITE.find(position => position.name === name);
+
+      pool.newGame();
+      const startTime = Date.now();
+      const { move, nodes } = await pool.search({ fen, moves: [] }, {
+        timeLimit: Infinity,
+        clock: null,
+        maxDepth: depth,
+        nodeLimit: Infinity,
+        mateLimit: 0,
+        searchMoves: null,
+        multiPv: 1,
+        infinite: false,
+        ponder: false,
+        backend: 'mailbox',
+        chess960: false
+      });
+      const time = Date.now() - startTime;
+
+      totalNodes += nodes;
+      totalTime += time;
+      log(`  ${name} (depth ${depth}): ${move}, ${nodes} nodes, ${time}ms, ${nodesPerSecond(nodes, time)} nps`);
+    }
+
+    await pool.terminate();
+
+    results[label] = { time: totalTime, nodes: totalNodes, nps: nodesPerSecond(totalNodes, totalTime) };
+    log(`  Total: ${totalNodes} nodes in ${totalTime}ms (${results[label].nps} nps)`);
+    log('');
+  }
+
+  const { single, multi } = results;
+  results.speedup = single.time / Math.max(multi.time, 1);
+  log(`${threads} threads vs 1: ${results.speedup.toFixed(2)}x time to depth, ${(multi.nps / Math.max(single.nps, 1)).toFixed(2)}x nps`);
+
+  return results;
+}
+
+module.exports = {
+  MAX_THREADS,
+  SearchThreads,
+  runThreadBenchmark
+};
@@ -0,0 +1,103 @@
+/**
+ * Time management - decides how long to think on a move when playing with a
+ * clock ("go wtime ... btime ...")
+ */
+
+// Moves assumed to be left when the time control has no movestogo
+const DEFAULT_MOVES_TO_GO = 30;
+
+// Share of the remaining time a single move may use at most
+const MAX_TIME_SHARE = 0.5;
+const LAST_MOVE_TIME_SHARE = 0.9; // Before the time control, when nothing needs to be saved
+
+// The hard limit allows a move up to this many times its normal time
+const HARD_LIMIT_FACTOR = 4;
+
+// Share of the increment that is spent on every move
+const INCREMENT_SHARE = 0.75;
+
+// Extra time for each best move change; the change count halves every iteration
+const BEST_MOVE_CHANGE_FACTOR = 0.5;
+
+// A best move that has stayed the same for this many iterations in a row is
+// clearly best, and gets only a share of the normal time
+const STABLE_ITERATIONS = 4;
+const STABLE_MOVE_FACTOR = 0.5;
+
+// Extra time when the score drops by at least this much between iterations
+const SCORE_DROP_MARGIN = 30;
+const SCORE_DROP_FACTOR = 1.5;
+
+// The next iteration usually takes longer than all earlier ones together, so
+// do not start one after this share of the soft limit has been used
+const NEXT_ITERATION_SHARE = 0.5;
+
+/**
+ * Time budget for one move, adjusted between iterative deepening iterations
+ */
+class TimeManager {
+  /**
+   * @param {Object} clock - { time: our remaining time, increment: our increment, movesToGo: moves to the next time control (0 if none), overhead: time lost per move to communication } in milliseconds
+   */
+  constructor({ time, increment = 0, movesToGo = 0, overhead = 0 }) {
+    const timeLeft = Math.max(time - overhead, 1);
+    const movesLeft = movesToGo > 0 ? movesToGo : DEFAULT_MOVES_TO_GO;
+    const maxShare = movesLeft === 1 ? LAST_MOVE_TIME_SHARE : MAX_TIME_SHARE;
+
+    // Normal time for this move, and the most it may ever take
+    const optimum = timeLeft / movesLeft + increment * INCREMENT_SHARE;
+    this.maximum = Math.max(Math.floor(Math.min(timeLeft * maxShare, optimum * HARD_LIMIT_FACTOR)), 1);
+    this.optimum = Math.min(optimum, this.maximum);
+
+    // Soft limit after adjusting for how the search is going
+    this.softLimit = this.optimum;
+
+    this.previousBestMove = null;
+    this.previousScore = null;
+    this.bestMoveChanges = 0;
+    this.stableIterations = 0; // Iterations in a row that found the same best move
+    this.forced = false;
+  }
+
+  /**
+   * Adjust the soft limit after a completed iteration: unstable best moves
+   * and falling scores get more time, a best move that stays the same less
+   * @param {string} bestMove - Best move of the iteration in UCI notation
+   * @param {number} score - Score of the best move
+   * @param {number} rootMoves - Number of moves searched at the root
+   */
+  update(bestMove, score, rootMoves) {
+    const changed = this.previousBestMove !== null && bestMove !== this.previousBestMove;
+    this.bestMoveChanges = this.bestMoveChanges / 2 + (changed ? 1 : 0);
+    this.stableIterations = changed ? 1 : this.stableIterations + 1;
+
+    const dropped = this.previousScore !== null && this.previousScore - score >= SCORE_DROP_MARGIN;
+    const stable = this.stableIterations >= STABLE_ITERATIONS && !dropped;
+
+    const factor = (1 + this.bestMoveChanges * BEST_MOVE_CHANGE_FACTOR) * (dropped ? SCORE_DROP_FACTOR : 1) *
+      (stable ? STABLE_MOVE_FACTOR : 1);
+    this.softLimit = Math.min(this.optimum * factor, this.maximum);
+
+    this.forced = rootMoves === 1;
+    this.previousBestMove = bestMove;
+    this.previousScore = score;
+  }
+
+  /**
+   * Decide whether to stop before starting the next iteration
+   * @param {number} elapsed - Time spent on this move so far in milliseconds
+   * @returns {boolean} - True to play the best move found so far
+   */
+  shouldStop(elapsed) {
+    // Nothing to think about with a single legal move
+    if (this.forced) {
+      return true;
+    }
+
+    return elapsed >= this.softLimit * NEXT_ITERATION_SHARE;
+  }
+}
+
+module.exports = {
+  TimeManager
+};
@@ -4,11 +4,55 @@
  */
 
 const readline = require('readline');
-const ChessEngine = require('./engine1');
+const ChessEngine2 = require('./engine2');
+const { SEARCH_FEATURES } = ChessEngine2;
+const { WHITE } = require('./board');
+const { divide } = require('./perft');
+const { MAX_THREADS, SearchThreads } = require('./threads');
+
+// Transposition table size in megabytes ("Hash" option)
+const DEFAULT_HASH_MB = 128;
+const MAX_HASH_MB = 1024;
+
+// Contempt in centipawns: positive avoids draws, negative seeks them
+const MAX_CONTEMPT = 100;
+
+// Check options switching search techniques on and off, by the engine's
+// feature names (see SEARCH_FEATURES in engine2.js)
+const FEATURE_OPTIONS = {
+  'PVS': 'pvs',
+  'Aspiration Windows': 'aspiration',
+  'Check Extensions': 'checkExtensions',
+  'Null Move Pruning': 'nullMove',
+  'Reverse Futility Pruning': 'reverseFutility',
+  'Razoring': 'razoring',
+  'Futility Pruning': 'futility',
+  'Late Move Pruning': 'lateMovePruning',
+  'LMR Table': 'lmrTable',
+  'Delta Pruning': 'deltaPruning',
+  'Quiescence Checks': 'qsearchChecks'
+};
+
+// "go" parameters followed by a number
+const GO_NUMBER_PARAMS = ['wtime', 'btime', 'winc', 'binc', 'movestogo', 'depth', 'nodes', 'mate', 'movetime'];
+
+// "go" parameters that stand alone
+const GO_FLAG_PARAMS = ['infinite', 'ponder'];
 
 class UCIInterface {
   constructor() {
-    this.engine = new ChessEngine();
+    // Tracks the position and options; the search itself runs on worker
+    // threads so commands are still read while the engine thinks (this engine
+    // does not search, so its own transposition table is kept minimal)
+    this.engine = new ChessEngine2({ hashSize: 1 });
+    this.position = { fen: null, moves: [] };
+    this.searching = false;
+    this.threads = new SearchThreads({
+      threads: 1,
+      hashSize: DEFAULT_HASH_MB,
+      onInfo: (info) => this.infoCommand(info)
+    });
+    
     this.rl = readline.createInterface({
       input: process.stdin,
       output: process.stdout
@@ -19,7 +63,12 @@ class UCIInterface {
     // Default options
     this.options = {
       timeLimit: 3000,  // 3 seconds
-      maxDepth: 40      // Set high depth limit - time will be the main constraint
+      maxDepth: 40,     // Set high depth limit - time will be the main constraint
+      moveOverhead: 30, // Milliseconds per move lost to communication with the GUI
+      ponder: false,    // Set by GUIs that let the engine think on the opponent's time
+      multiPv: 1,       // Number of best moves to report
+      contempt: 0,      // Centipawns a draw is worth less than an equal position
+      features: { ...SEARCH_FEATURES } // Search techniques in use
     };
   }
 
@@ -53,6 +102,9 @@ class UCIInterface {
       case 'stop':
         this.stopCommand();
         break;
+      case 'ponderhit':
+        this.ponderHitCommand();
+        break;
       case 'quit':
         this.quitCommand();
         break;
@@ -73,10 +125,20 @@ class UCIInterface {
     console.log('id author Cline');
 
     // Available options
-    console.log('option name Hash type spin default 128 min 1 max 1024');
-    console.log('option name Threads type spin default 1 min 1 max 8');
+    console.log(`option name Hash type spin default ${DEFAULT_HASH_MB} min 1 max ${MAX_HASH_MB}`);
+    console.log('option name Clear Hash type button');
+    console.log(`option name Threads type spin default 1 min 1 max ${MAX_THREADS}`);
     console.log('option name MoveTime type spin default 3000 min 100 max 60000');
+    console.log('option name Move Overhead type spin default 30 min 0 max 5000');
+    console.log('option name Ponder type check default false');
+    console.log('option name MultiPV type spin default 1 min 1 max 100');
+    console.log(`option name Contempt type spin default 0 min ${-MAX_CONTEMPT} max ${MAX_CONTEMPT}`);
     console.log('option name Depth type spin default 40 min 1 max 40');
+    console.log('option name UCI_Chess960 type check default false');
+    console.log('option name Backend type combo default mailbox var mailbox var bitboard');
+    for (const [name, feature] of Object.entries(FEATURE_OPTIONS)) {
+      console.log(`option name ${name} type check default ${SEARCH_FEATURES[feature]}`);
+    }
 
     console.log('uciok');
   }
@@ -116,19 +178,71 @@ class UCIInterface {
     // Set the option
     switch (name.toLowerCase()) {
       case 'hash':
-        // Hash table size in MB (ignored for now)
+        // Transposition table size in MB; resizing empties the table
+        try {
+          this.threads.setHashSize(Math.min(Math.max(parseInt(value) || DEFAULT_HASH_MB, 1), MAX_HASH_MB));
+        } catch (e) {
+          console.error('Error setting hash:', e.message);
+        }
+        break;
+      case 'clear hash':
+        try {
+          this.threads.clearHash();
+        } catch (e) {
+          console.error('Error clearing hash:', e.message);
+        }
         break;
       case 'threads':
-        // Number of threads (ignored for now)
+        // Lazy SMP search threads; GUIs only change this between searches
+        try {
+          this.threads.setThreads(parseInt(value) || 1);
+        } catch (e) {
+          console.error('Error setting threads:', e.message);
+        }
         break;
       case 'movetime':
         this.options.timeLimit = parseInt(value) || 3000;
         this.engine.timeLimit = this.options.timeLimit;
         break;
+      case 'move overhead': {
+        const overhead = parseInt(value);
+        this.options.moveOverhead = isNaN(overhead) ? 30 : overhead;
+        break;
+      }
+      case 'ponder':
+        // Pondering is driven by "go ponder"; the option only tells us the GUI uses it
+        this.options.ponder = value === 'true';
+        break;
+      case 'multipv':
+        this.options.multiPv = Math.min(Math.max(parseInt(value) || 1, 1), 100);
+        break;
+      case 'contempt':
+        this.options.contempt = Math.min(Math.max(parseInt(value) || 0, -MAX_CONTEMPT), MAX_CONTEMPT);
+        break;
       case 'depth':
         this.options.maxDepth = parseInt(value) || 40;
         this.engine.maxDepth = this.options.maxDepth;
         break;
+      case 'uci_chess960':
+        // Castling moves are sent and received as king-captures-rook
+        this.engine.board.chess960 = value === 'true';
+        break;
+      case 'backend':
+        // Board implementation used by the search
+        try {
+          this.engine.setBackend(value);
+        } catch (e) {
+          console.error('Error setting backend:', e.message);
+        }
+        break;
+      default: {
+        // Search technique switches
+        const option = Object.keys(FEATURE_OPTIONS).find(key => key.toLowerCase() === name.toLowerCase());
+        if (option) {
+          this.options.features[FEATURE_OPTIONS[option]] = value === 'true';
+        }
+        break;
+      }
     }
   }
 
@@ -137,6 +251,7 @@ class UCIInterface {
    */
   uciNewGameCommand() {
     this.engine.reset();
+    this.threads.newGame();
   }
 
   /**
@@ -151,7 +266,7 @@ class UCIInterface {
 
     // Parse position type
     if (args[0] === 'startpos') {
-      this.engine.reset();
+      this.engine.resetBoard();
       index = 1;
     } else if (args[0] === 'fen') {
       // Parse FEN string
@@ -172,6 +287,7 @@ class UCIInterface {
     }
 
     // Apply moves if present
+    const moves = [];
     if (index < args.length && args[index] === 'moves') {
       for (let i = index + 1; i < args.length; i++) {
         const uciMove = args[i];
@@ -180,8 +296,12 @@ class UCIInterface {
           console.error('Invalid move:', uciMove);
           break;
         }
+        moves.push(uciMove);
       }
     }
+    
+    // The search worker replays the same moves, so it knows the game history
+    this.position = { fen: fen.trim() || null, moves };
   }
 
   /**
@@ -189,66 +309,156 @@ class UCIInterface {
    * @param {Array} args - Go command arguments
    */
   goCommand(args) {
+    if (this.searching) {
+      console.error('Already searching, send stop first');
+      return;
+    }
+    
+    if (args[0] === 'perft') {
+      this.perftCommand(parseInt(args[1]) || 1);
+      return;
+    }
+    
+    const go = this.parseGoArguments(args);
+    const white = this.engine.board.turn === WHITE;
+    const ourTime = white ? go.wtime : go.btime;
+    
+    // With a clock, the worker's time manager sets the limits. Otherwise
+    // depth, node and mate searches run until they reach their limit, and
+    // infinite searches until "stop".
     let timeLimit = this.options.timeLimit;
-    let depth = this.options.maxDepth;
+    let clock = null;
+    if (go.movetime !== undefined) {
+      // Leave the GUI its latency, as with a clock
+      timeLimit = Math.max(go.movetime - this.options.moveOverhead, 1);
+    } else if (ourTime !== undefined) {
+      clock = {
+        time: ourTime,
+        increment: (white ? go.winc : go.binc) || 0,
+        movesToGo: go.movestogo || 0,
+        overhead: this.options.moveOverhead
+      };
+    } else if (go.infinite || go.depth !== undefined || go.nodes !== undefined || go.mate !== undefined) {
+      timeLimit = Infinity;
+    }
     
-    // Parse time control parameters
-    for (let i = 0; i < args.length; i += 2) {
-      if (i + 1 >= args.length) break;
-      
+    // Start the search on the worker threads; the main thread answers with
+    // its best move when done
+    this.searching = true;
+    this.threads.search(this.position, {
+      timeLimit,
+      clock,
+      maxDepth: go.depth || this.options.maxDepth,
+      nodeLimit: go.nodes || Infinity,
+      mateLimit: go.mate || 0,
+      searchMoves: go.searchmoves.length > 0 ? go.searchmoves : null,
+      multiPv: this.options.multiPv,
+      infinite: go.infinite,
+      ponder: go.ponder,
+      backend: this.engine.backend,
+      chess960: this.engine.board.chess960,
+      features: this.options.features,
+      contempt: this.options.contempt
+    }).then((result) => this.bestMoveCommand(result));
+  }
+
+  /**
+   * Parse the arguments of a "go" command
+   * @param {Array} args - Go command arguments
+   * @returns {Object} - Numeric parameters by name (only those given), infinite and ponder flags, and searchmoves
+   */
+  parseGoArguments(args) {
+    const go = { infinite: false, ponder: false, searchmoves: [] };
+    
+    for (let i = 0; i < args.length; i++) {
       const param = args[i];
-      const value = parseInt(args[i + 1]);
-      
-      if (isNaN(value)) continue;
       
-      switch (param) {
-        case 'depth':
-          depth = value;
-          break;
-        case 'movetime':
-          timeLimit = value;
-          break;
-        case 'wtime':
-          if (this.engine.board.turn === 0x08) { // WHITE
-            timeLimit = Math.min(value / 30, 5000); // Allocate 1/30 of remaining time
-          }
-          break;
-        case 'btime':
-          if (this.engine.board.turn === 0x10) { // BLACK
-            timeLimit = Math.min(value / 30, 5000); // Allocate 1/30 of remaining time
-          }
-          break;
-        // Other time control parameters (winc, binc, movestogo) could be handled here
+      if (GO_FLAG_PARAMS.includes(param)) {
+        go[param] = true;
+      } else if (GO_NUMBER_PARAMS.includes(param)) {
+        const value = parseInt(args[i + 1]);
+        if (!isNaN(value)) {
+          go[param] = value;
+          i++;
+        }
+      } else if (param === 'searchmoves') {
+        // Moves run until the next parameter name
+        while (i + 1 < args.length && !GO_FLAG_PARAMS.includes(args[i + 1]) && !GO_NUMBER_PARAMS.includes(args[i + 1])) {
+          go.searchmoves.push(args[++i]);
+        }
       }
     }
     
-    // Update engine parameters
-    this.engine.timeLimit = timeLimit;
-    this.engine.maxDepth = depth;
+    return go;
+  }
+
+  /**
+   * Print the result of a finished search
+   * @param {Object} result - { move, ponder } from the main search thread
+   */
+  bestMoveCommand(result) {
+    this.searching = false;
+    if (result.move && result.ponder) {
+      console.log(`bestmove ${result.move} ponder ${result.ponder}`);
+    } else {
+      console.log(`bestmove ${result.move || '(none)'}`);
+    }
+  }
+
+  /**
+   * Print search progress reported by the engine as an "info" line
+   * @param {Object} info - Either a completed iteration { depth, seldepth, multipv, score, mate, nodes, nps, hashfull, time, pv }
+   *                        or the root move being searched { depth, currmove, currmovenumber }
+   */
+  infoCommand(info) {
+    if (info.currmove) {
+      console.log(`info depth ${info.depth} currmove ${info.currmove} currmovenumber ${info.currmovenumber}`);
+      return;
+    }
     
-    // Start search in a separate process to keep the UCI interface responsive
-    setTimeout(() => {
-      const bestMove = this.engine.getBestMove();
-      const stats = this.engine.getStats();
-      
-      console.log(`info depth ${depth} time ${stats.timeElapsed} nodes ${stats.evaluations} nps ${Math.floor(stats.evaluations / (stats.timeElapsed / 1000))}`);
-      console.log(`bestmove ${bestMove || '(none)'}`);
-    }, 0);
+    const score = info.mate !== null ? `mate ${info.mate}` : `cp ${info.score}`;
+    console.log(`info depth ${info.depth} seldepth ${info.seldepth} multipv ${info.multipv} score ${score} nodes ${info.nodes} ` +
+      `nps ${info.nps} hashfull ${info.hashfull} time ${info.time} pv ${info.pv.join(' ')}`);
   }
 
+  /**
+   * Run perft split by root move ("go perft N")
+   * @param {number} depth - Depth in plies
+   */
+  perftCommand(depth) {
+    const result = divide(this.engine.board, depth);
+    
+    for (const { move, nodes } of result.moves) {
+      console.log(`${move}: ${nodes}`);
+    }
+    
+    console.log('');
+    console.log(`Nodes searched: ${result.nodes}`);
+  }
+  
   /**
    * Stop the current calculation
    */
   stopCommand() {
-    // Since our engine doesn't support stopping yet, we just acknowledge
-    // In a more advanced implementation, we would signal the engine to stop
-    console.log('bestmove a1a1'); // Send a dummy move
+    // The threads notice the signal within a few thousand nodes and then
+    // the main thread reports its best move as usual; the signal also wakes
+    // an infinite search that finished early and is waiting for "stop"
+    this.threads.stop();
+  }
+
+  /**
+   * The opponent played the move we were pondering on: keep searching, now
+   * on our own clock
+   */
+  ponderHitCommand() {
+    this.threads.ponderHit();
   }
 
   /**
    * Quit the UCI interface
    */
   quitCommand() {
+    this.threads.terminate();
     this.rl.close();
     process.exit(0);
   }
@@ -267,6 +477,7 @@ class UCIInterface {
     // Print legal moves
     const legalMoves = this.engine.board.getLegalMoves();
     console.log('Legal moves:', legalMoves.map(m => this.engine.board.moveToUci(m)).join(' '));
+    console.log('Legal moves (SAN):', legalMoves.map(m => this.engine.board.moveToSan(m)).join(' '));
   }
 
   /**
@@ -0,0 +1,73 @@
+/**
+ * Zobrist hashing keys
+ *
+ * Every key is a 64-bit value stored as two 32-bit words (low, high) so the
+ * board can update its hash with plain integer XORs instead of BigInt math.
+ */
+
+// Piece codes go up to KING | BLACK (22), so index keys by the raw piece code
+const PIECE_CODES = 23;
+
+// Deterministic seed so hashes are stable between runs
+const SEED = 0x9e3779b9;
+
+/**
+ * Create a xorshift32 pseudo-random number generator
+ * @param {number} seed - Non-zero 32-bit seed
+ * @returns {Function} - Generator returning unsigned 32-bit integers
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    state >>>= 0;
+    return state;
+  };
+}
+
+const random = createRandom(SEED);
+
+/**
+ * Fill a typed array with random 32-bit words
+ * @param {number} length - Number of words
+ * @returns {Int32Array} - The filled array
+ */
+function randomWords(length) {
+  const words = new Int32Array(length);
+  for (let i = 0; i < length; i++) {
+    words[i] = random();
+  }
+  return words;
+}
+
+// Piece-square keys, indexed by (piece * 64 + square) * 2 (+1 for the high word)
+const PIECE_KEYS = randomWords(PIECE_CODES * 64 * 2);
+
+// One key per castling rights combination (0-15)
+const CASTLING_KEYS = randomWords(16 * 2);
+
+// One key per en passant file
+const EN_PASSANT_KEYS = randomWords(8 * 2);
+
+// Toggled whenever black is to move
+const SIDE_KEY = randomWords(2);
+
+/**
+ * Combine two 32-bit words into an unsigned 64-bit BigInt
+ * @param {number} lo - Low word
+ * @param {number} hi - High word
+ * @returns {bigint} - The 64-bit key
+ */
+function toBigInt(lo, hi) {
+  return (BigInt(hi >>> 0) << 32n) | BigInt(lo >>> 0);
+}
+
+module.exports = {
+  PIECE_KEYS,
+  CASTLING_KEYS,
+  EN_PASSANT_KEYS,
+  SIDE_KEY,
+  toBigInt
+};